@@ -1,26 +1,72 @@
 const express = require('express');
+const { PORT, CORS_ORIGINS } = require('./config');
 const cors = require('cors');
 const userRoutes = require('./routes/users');
 const itemRoutes = require('./routes/items');
+const auditRoutes = require('./routes/audit');
+const inviteRoutes = require('./routes/invites');
+const adminUserRoutes = require('./routes/adminUsers');
+const docsRoutes = require('./routes/docs');
+const healthRoutes = require('./routes/health');
+const openapiDocument = require('./openapi');
+const { startTrashPurger } = require('./services/trashPurger');
+const { authRateLimit } = require('./middleware/rateLimit');
+const { requestId } = require('./middleware/requestId');
+const { requestLogger } = require('./middleware/requestLogger');
+const { requestMetrics } = require('./middleware/requestMetrics');
+const { notFoundHandler, errorHandler } = require('./middleware/errorHandler');
+const { requestValidator } = require('./middleware/requestValidator');
+const { logger } = require('./logger');
 
 const app = express();
-const PORT = 5000;
 
-// Middleware: Log all incoming requests
-app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
-    next();
-});
+// Routes that take a password, code or token, and so could be used to guess them.
+// Paths match as prefixes, so /users/login also covers /users/login/2fa.
+const CREDENTIAL_ROUTES = ['/users/login', '/users/register', '/users/forgot-password', '/users/reset-password'];
+
+// Middleware: Give every request an id, used in error responses and logs
+app.use(requestId);
+
+// Middleware: Log every request with its id, status and latency as a JSON line
+app.use(requestLogger);
+
+// Middleware: Count requests and their latency for /metrics
+app.use(requestMetrics);
+
+// Middleware: Enable CORS for the allowed origins and JSON parsing (PATCH bodies may use the merge patch media type)
+app.use(cors({
+    origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+    exposedHeaders: ['ETag', 'X-Request-Id', 'Retry-After', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+}));
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
 
-// Middleware: Enable CORS and JSON parsing
-app.use(cors());
-app.use(express.json());
+// API description: /openapi.json and the /docs page
+app.use(docsRoutes);
+
+// Load balancer probes (/healthz, /readyz) and /metrics, outside rate limits
+app.use(healthRoutes);
+
+// Only the credential routes share a per-IP budget, so users behind one NAT do not
+// lock each other out of their accounts; failed validations count too
+app.use(CREDENTIAL_ROUTES, authRateLimit);
+
+// Middleware: Match every request with the OpenAPI document; public operations
+// are validated here, the others by their routes once the caller is authorized
+app.use(requestValidator(openapiDocument));
 
 // Mount routes
 app.use('/users', userRoutes);
 app.use('/items', itemRoutes);
+app.use('/audit', auditRoutes);
+app.use('/invites', inviteRoutes);
+app.use('/admin/users', adminUserRoutes);
+
+// Unknown routes and every error end up as the same JSON error envelope
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 // Start server
 app.listen(PORT, () => {
-    console.log(`Server is running on http://localhost:${PORT}`);
+    logger.info(`Server is running on http://localhost:${PORT}`, { port: PORT });
+    startTrashPurger();
 });
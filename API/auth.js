@@ -1,6 +1,8 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { JWT_SECRET, JWT_EXPIRES_IN } = require('./config');
+const { isRevoked } = require('./models/RevokedToken');
 
 /**
  * Hash a plain text password using bcrypt
@@ -12,6 +14,10 @@ async function hashPassword(password) {
     return bcrypt.hash(password, salt);
 }
 
+// Checked instead of a stored hash when no account matches, so unknown emails
+// take as long to reject as wrong passwords and cannot be told apart by timing
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
 /**
  * Compare plain text password with hashed password
  * @param {string} password - Plain text password
@@ -23,35 +29,105 @@ async function comparePassword(password, hashedPassword) {
 }
 
 /**
- * Generate JWT token for a user
- * @param {object} user - User object with id and email
+ * Hash a high-entropy random token (refresh token, reset token...) for storage
+ * SHA-256 is enough here because these tokens cannot be guessed like passwords.
+ * @param {string} token - Plain token
+ * @returns {string} Hex encoded hash
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a short-lived JWT access token for a user
+ * @param {object} user - User object with id, email and role
+ * @param {object} [options]
+ * @param {string} [options.tokenId] - Unique token id (jti), random if omitted
+ * @param {string} [options.familyId] - Refresh token family the token belongs to (fid)
  * @returns {string} JWT token
  */
-function generateToken(user) {
+function generateToken(user, { tokenId = crypto.randomUUID(), familyId } = {}) {
     const userData = {
         userId: user.id,
-        email: user.email
+        email: user.email,
+        role: user.role,
+        fid: familyId
     };
 
-    return jwt.sign(userData, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    return jwt.sign(userData, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN, jwtid: tokenId });
+}
+
+/**
+ * Generate a signed single-purpose token, e.g. for an email verification link
+ * Purpose tokens are never accepted as access tokens.
+ * @param {string} purpose - What the token may be used for, e.g. 'verify-email'
+ * @param {object} claims - Extra claims to embed
+ * @param {string} expiresIn - Lifetime in jsonwebtoken format, e.g. '24h'
+ * @returns {string} JWT token
+ */
+function generatePurposeToken(purpose, claims, expiresIn) {
+    return jwt.sign({ ...claims, purpose }, JWT_SECRET, { expiresIn });
+}
+
+/**
+ * Verify a token made by generatePurposeToken
+ * @param {string} token - JWT token to verify
+ * @param {string} purpose - Expected purpose
+ * @returns {object|null} Decoded payload or null if invalid, expired or for another purpose
+ */
+function verifyPurposeToken(token, purpose) {
+    try {
+        const decoded = jwt.verify(token, JWT_SECRET);
+        return decoded.purpose === purpose ? decoded : null;
+    } catch(error) {
+        return null;
+    }
 }
 
 /**
  * Verify and decode JWT token
+ * Tokens whose id (jti) is on the revocation denylist are rejected, and so are
+ * purpose tokens (verification links and the like).
  * @param {string} token - JWT token to verify
- * @returns {object|null} Decoded token payload or null if invalid
+ * @returns {Promise<object|null>} Decoded token payload or null if invalid or revoked
  */
-function verifyToken(token) {
+async function verifyToken(token) {
+    let decoded;
+
     try {
-        return jwt.verify(token, JWT_SECRET);
+        decoded = jwt.verify(token, JWT_SECRET);
     } catch(error) {
         return null;
     }
+
+    if (decoded.purpose) {
+        return null;
+    }
+
+    if (decoded.jti && await isRevoked(decoded.jti)) {
+        return null;
+    }
+
+    return decoded;
+}
+
+/**
+ * Read a token's expiry without verifying it
+ * @param {string} token - JWT token
+ * @returns {string} ISO timestamp of the exp claim
+ */
+function getTokenExpiry(token) {
+    return new Date(jwt.decode(token).exp * 1000).toISOString();
 }
 
 module.exports = {
+    DUMMY_PASSWORD_HASH,
     hashPassword,
     comparePassword,
+    hashToken,
     generateToken,
-    verifyToken
+    generatePurposeToken,
+    verifyPurposeToken,
+    verifyToken,
+    getTokenExpiry
 };
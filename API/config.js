@@ -0,0 +1,216 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Application configuration, read once at startup
+ * Every setting comes from an environment variable. An optional .env file next
+ * to this module is loaded first; variables already set in the environment win.
+ * Invalid values stop the process with a list of everything that is wrong,
+ * instead of failing later on the first request that uses them.
+ *
+ * NODE_ENV selects a profile that changes some defaults:
+ * - development (default): local secrets and CORS for any origin
+ * - test: in-memory storage, quiet logs and relaxed rate limits
+ * - production: JWT_SECRET, CORS_ORIGINS, PUBLIC_API_URL and MAIL_TRANSPORT must be
+ *   set, and mail cannot go to the console
+ */
+
+const ENV_FILE = path.resolve(__dirname, '.env');
+
+if (fs.existsSync(ENV_FILE)) {
+    process.loadEnvFile(ENV_FILE);
+}
+
+const PROFILES = ['development', 'test', 'production'];
+
+// Production refuses the development secret and any secret shorter than this
+const DEV_JWT_SECRET = 'local-dev-secret';
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+/**
+ * Settings by environment variable name
+ * - type: string, integer, number, list (comma separated), url or duration ("90", "15m", "24h")
+ * - default: value when the variable is not set; profiles: { profile: value } overrides it
+ * - required: the variable must be set (true, or a list of profiles)
+ * - values, min, max: allowed values
+ */
+const SCHEMA = {
+    PORT: { type: 'integer', default: 5000, min: 1, max: 65535 },
+    // Base URL of the API in links sent by email and in the API docs; http://localhost:PORT when not set
+    PUBLIC_API_URL: { type: 'url', required: ['production'] },
+    // Origins allowed to call the API from a browser; * allows any
+    CORS_ORIGINS: { type: 'list', profiles: { development: ['*'], test: ['*'] }, required: ['production'] },
+    LOG_LEVEL: { type: 'string', default: 'info', profiles: { test: 'warn' }, values: ['debug', 'info', 'warn', 'error', 'silent'] },
+
+    JWT_SECRET: { type: 'string', profiles: { development: DEV_JWT_SECRET, test: 'test-secret' }, required: ['production'] },
+    JWT_EXPIRES_IN: { type: 'duration', default: '1h' },
+    REFRESH_TOKEN_TTL_DAYS: { type: 'number', default: 30, min: 0, exclusiveMin: true },
+    PASSWORD_RESET_TTL_MINUTES: { type: 'number', default: 60, min: 0, exclusiveMin: true },
+    // Per email address, on top of the per-IP limit on the credential routes
+    PASSWORD_RESET_INTERVAL_SECONDS: { type: 'number', default: 60, profiles: { test: 0 }, min: 0 },
+    EMAIL_VERIFICATION_TTL: { type: 'duration', default: '24h' },
+    VERIFICATION_RESEND_INTERVAL_SECONDS: { type: 'number', default: 60, min: 0 },
+    TWO_FACTOR_CHALLENGE_TTL: { type: 'duration', default: '5m' },
+    TOTP_ISSUER: { type: 'string', default: 'REST CRUD Demo' },
+
+    LOGIN_MAX_FAILURES: { type: 'integer', default: 5, min: 1 },
+    LOGIN_FAILURE_WINDOW_MINUTES: { type: 'number', default: 15, min: 0, exclusiveMin: true },
+    LOGIN_LOCKOUT_SECONDS: { type: 'number', default: 60, min: 0, exclusiveMin: true },
+    LOGIN_LOCKOUT_MAX_SECONDS: { type: 'number', default: 3600, min: 0, exclusiveMin: true },
+    AUTH_RATE_LIMIT_WINDOW_SECONDS: { type: 'number', default: 60, min: 0, exclusiveMin: true },
+    AUTH_RATE_LIMIT_MAX: { type: 'integer', default: 20, profiles: { test: 1000 }, min: 1 },
+    WRITE_RATE_LIMIT_WINDOW_SECONDS: { type: 'number', default: 60, min: 0, exclusiveMin: true },
+    WRITE_RATE_LIMIT_MAX: { type: 'integer', default: 60, profiles: { test: 1000 }, min: 1 },
+
+    REGISTRATION_MODE: { type: 'string', default: 'allowlist', values: ['allowlist', 'denylist', 'open'] },
+    REGISTRATION_DOMAINS: { type: 'list', default: ['ase.ro'] },
+    DEFAULT_USER_ROLE: { type: 'string', default: 'editor' },
+    UNOWNED_ITEMS_POLICY: { type: 'string', default: 'deny', values: ['deny', 'claim', 'allow'] },
+    TRASH_RETENTION_DAYS: { type: 'number', default: 30, min: 0 },
+    TRASH_PURGE_INTERVAL_MINUTES: { type: 'number', default: 60, min: 0, exclusiveMin: true },
+    // Age at which the search index is reloaded from the store, to pick up writes
+    // made by other instances or scripts; 0 loads it only once
+    SEARCH_INDEX_REFRESH_SECONDS: { type: 'number', default: 300, min: 0 },
+
+    STORAGE_BACKEND: { type: 'string', default: 'firestore', profiles: { test: 'memory' }, values: ['firestore', 'json', 'memory'] },
+    STORAGE_FILE: { type: 'string', default: 'data/db.json' },
+    FIREBASE_SERVICE_ACCOUNT: { type: 'string', default: 'serviceAccount.json' },
+
+    // Mail links and tokens grant access to accounts, so production must not log them
+    MAIL_TRANSPORT: { type: 'string', profiles: { development: 'console', test: 'console' }, required: ['production'], values: ['console', 'file'] },
+    MAIL_FROM: { type: 'string', default: 'REST CRUD Demo <no-reply@localhost>' },
+    MAIL_OUTBOX_DIR: { type: 'string', default: 'data/outbox' }
+};
+
+const DURATION = /^\d+(ms|s|m|h|d)?$/;
+
+// Turn the raw string into the setting's type, or return { error }
+function parse(setting, raw) {
+    switch (setting.type) {
+        case 'integer':
+        case 'number': {
+            const value = Number(raw);
+
+            if (raw.trim() === '' || Number.isNaN(value) || (setting.type === 'integer' && !Number.isInteger(value))) {
+                return { error: `must be ${setting.type === 'integer' ? 'an integer' : 'a number'}, got "${raw}"` };
+            }
+            return { value };
+        }
+        case 'list':
+            return { value: raw.split(',').map((entry) => entry.trim()).filter(Boolean) };
+        case 'url':
+            try {
+                new URL(raw);
+            } catch(error) {
+                return { error: `must be an absolute URL, got "${raw}"` };
+            }
+            return { value: raw.replace(/\/$/, '') };
+        case 'duration':
+            return DURATION.test(raw) ? { value: raw } : { error: `must be a duration such as 90, 15m or 24h, got "${raw}"` };
+        default:
+            return { value: raw };
+    }
+}
+
+// Range and allowed-value checks; returns an error message or null
+function check(setting, value) {
+    if (setting.values && !setting.values.includes(value)) {
+        return `must be one of: ${setting.values.join(', ')}`;
+    }
+
+    if (setting.min !== undefined && (setting.exclusiveMin ? value <= setting.min : value < setting.min)) {
+        return `must be ${setting.exclusiveMin ? 'greater than' : 'at least'} ${setting.min}`;
+    }
+
+    if (setting.max !== undefined && value > setting.max) {
+        return `must be at most ${setting.max}`;
+    }
+
+    return null;
+}
+
+function defaultFor(setting, profile) {
+    return setting.profiles && profile in setting.profiles ? setting.profiles[profile] : setting.default;
+}
+
+// Rules that span several settings or only apply to one profile; settings
+// that are missing have already been reported
+function checkProfile(config) {
+    const errors = [];
+
+    if (config.NODE_ENV === 'production') {
+        const secret = config.JWT_SECRET;
+
+        if (secret !== undefined && (secret === DEV_JWT_SECRET || secret.length < MIN_PRODUCTION_SECRET_LENGTH)) {
+            errors.push(`JWT_SECRET must be a random string of at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`);
+        }
+
+        if (config.CORS_ORIGINS && config.CORS_ORIGINS.includes('*')) {
+            errors.push('CORS_ORIGINS must list the allowed origins in production, not *');
+        }
+
+        if (config.MAIL_TRANSPORT === 'console') {
+            errors.push('MAIL_TRANSPORT cannot be console in production, it would write reset tokens to the logs');
+        }
+    }
+
+    if (config.LOGIN_LOCKOUT_MAX_SECONDS < config.LOGIN_LOCKOUT_SECONDS) {
+        errors.push('LOGIN_LOCKOUT_MAX_SECONDS must be at least LOGIN_LOCKOUT_SECONDS');
+    }
+
+    return errors;
+}
+
+/**
+ * Read and validate the configuration from an environment
+ * @param {object} env - Variables, normally process.env
+ * @returns {object} Frozen settings keyed by variable name, plus NODE_ENV
+ * @throws {Error} Listing every invalid or missing setting
+ */
+function loadConfig(env) {
+    const profile = env.NODE_ENV || 'development';
+
+    if (!PROFILES.includes(profile)) {
+        throw new Error(`Invalid configuration: NODE_ENV must be one of: ${PROFILES.join(', ')}`);
+    }
+
+    const config = { NODE_ENV: profile };
+    const errors = [];
+
+    for (const [name, setting] of Object.entries(SCHEMA)) {
+        const raw = env[name];
+
+        if (raw === undefined || raw === '') {
+            const required = setting.required === true || (setting.required || []).includes(profile);
+            const value = defaultFor(setting, profile);
+
+            if (required && value === undefined) {
+                errors.push(`${name} is required${setting.required === true ? '' : ` in ${profile}`}`);
+            }
+            config[name] = value;
+            continue;
+        }
+
+        const { value, error } = parse(setting, raw);
+        const problem = error || check(setting, value);
+
+        if (problem) {
+            errors.push(`${name} ${problem}`);
+        }
+        config[name] = value;
+    }
+
+    if (config.PUBLIC_API_URL === undefined) {
+        config.PUBLIC_API_URL = `http://localhost:${config.PORT}`;
+    }
+
+    errors.push(...checkProfile(config));
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration (NODE_ENV=${profile}):\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+    }
+
+    return Object.freeze(config);
+}
+
+module.exports = loadConfig(process.env);
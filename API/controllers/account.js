@@ -0,0 +1,220 @@
+const User = require('../models/User')
+const { hashPassword } = require('../auth')
+const { hasPermission, DEFAULT_ROLE } = require('../permissions')
+const { revokeAllSessions, revokeAccessToken } = require('../services/tokens')
+const { recordLoginFailure, getLockoutSeconds } = require('../services/loginThrottle')
+const { deleteAccount } = require('../services/accountDeletion')
+const twoFactor = require('../services/twoFactor')
+const sessions = require('../services/sessions')
+const { toPublicUser } = require('../utils/publicUser')
+const { AppError, BadRequestError, NotFoundError, TooManyRequestsError } = require('../errors')
+
+function tooManyAttempts(seconds) {
+    return new TooManyRequestsError(`Too many failed attempts, try again in ${seconds} seconds`, seconds, { code: 'LOGIN_LOCKED' })
+}
+
+/**
+ * Check the password of the logged-in user before a sensitive change
+ * Wrong guesses count towards the login lockout, so a stolen access token
+ * cannot be used to brute-force the password.
+ * @throws {TooManyRequestsError|BadRequestError} If locked out or the password is wrong
+ */
+async function confirmPassword(user, password) {
+    const lockedFor = await getLockoutSeconds(user.email)
+
+    if (lockedFor > 0) {
+        throw tooManyAttempts(lockedFor)
+    }
+
+    // Stored passwords were trimmed when they were set, like at login
+    if (await User.verifyPassword(password.trim(), user.password)) {
+        return
+    }
+
+    const lockout = await recordLoginFailure(user.email)
+
+    if (lockout > 0) {
+        throw tooManyAttempts(lockout)
+    }
+
+    throw new BadRequestError('Password is incorrect', { code: 'INCORRECT_PASSWORD' })
+}
+
+// The stored account of the logged-in user
+async function loadCurrentUser(req) {
+    const user = await User.findById(req.user.userId)
+
+    if (!user) {
+        throw new NotFoundError('User not found')
+    }
+
+    return user
+}
+
+const getMe = async (req, res) => {
+    const user = await loadCurrentUser(req)
+
+    res.status(200).json(toPublicUser(user))
+}
+
+const updateMe = async (req, res) => {
+    const user = await loadCurrentUser(req)
+
+    const changes = {}
+
+    if (req.body.displayName !== undefined) {
+        changes.displayName = req.body.displayName
+    }
+
+    if (Object.keys(changes).length > 0) {
+        await User.update(user.id, { ...changes, updatedAt: new Date().toISOString() })
+    }
+
+    res.status(200).json(toPublicUser({ ...user, ...changes }))
+}
+
+const changePassword = async (req, res) => {
+    const { currentPassword, newPassword } = req.body
+    const user = await loadCurrentUser(req)
+
+    await confirmPassword(user, currentPassword)
+
+    await User.update(user.id, {
+        password: await hashPassword(newPassword),
+        passwordChangedAt: new Date().toISOString()
+    })
+
+    // Other devices must log in again with the new password; this one stays signed in
+    await revokeAllSessions(user.id, 'password-change', { except: req.user.fid })
+
+    res.status(200).json({ message: 'Password changed; other sessions have been signed out' })
+}
+
+const deleteMe = async (req, res) => {
+    const { password, itemsPolicy = 'trash', transferTo } = req.body
+    const user = await loadCurrentUser(req)
+
+    await confirmPassword(user, password)
+
+    let recipient = null
+
+    if (itemsPolicy === 'transfer') {
+        recipient = await User.findByEmail(transferTo)
+
+        if (!recipient || recipient.id === user.id || !hasPermission(recipient.role || DEFAULT_ROLE, 'items:write')) {
+            throw new BadRequestError('transferTo must be another user who can edit items', { code: 'INVALID_TRANSFER_RECIPIENT' })
+        }
+    }
+
+    const changedItems = await deleteAccount(user, itemsPolicy, recipient)
+    await revokeAccessToken(req.user)
+
+    res.status(200).json({
+        message: 'Account deleted',
+        itemsPolicy,
+        changedItems
+    })
+}
+
+// Enrollment failures reported by the twoFactor service
+const TWO_FACTOR_ERRORS = {
+    'not-found': [404, 'NOT_FOUND', 'User not found'],
+    'already-enabled': [409, 'TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled'],
+    'not-started': [400, 'TWO_FACTOR_NOT_STARTED', 'Start the setup before confirming it'],
+    'invalid-code': [400, 'INVALID_TWO_FACTOR_CODE', 'Invalid two-factor code']
+}
+
+function twoFactorError(reason) {
+    return new AppError(...TWO_FACTOR_ERRORS[reason])
+}
+
+const setupTwoFactor = async (req, res) => {
+    const user = await loadCurrentUser(req)
+
+    const result = await twoFactor.beginEnrollment(user)
+
+    if (result.error) {
+        throw twoFactorError(result.error)
+    }
+
+    // Add the secret to an authenticator app (or scan the URI as a QR code), then confirm with a code
+    res.status(200).json({
+        secret: result.secret,
+        otpauthUri: result.otpauthUri
+    })
+}
+
+const confirmTwoFactor = async (req, res) => {
+    const result = await twoFactor.confirmEnrollment(req.user.userId, req.body.code)
+
+    if (result.error) {
+        throw twoFactorError(result.error)
+    }
+
+    // The recovery codes are only returned here; they cannot be recovered later
+    res.status(200).json({
+        message: 'Two-factor authentication enabled',
+        recoveryCodes: result.recoveryCodes
+    })
+}
+
+const disableTwoFactor = async (req, res) => {
+    const { password, code, recoveryCode } = req.body
+    const user = await loadCurrentUser(req)
+
+    if (!twoFactor.isTwoFactorEnabled(user)) {
+        throw new BadRequestError('Two-factor authentication is not enabled', { code: 'TWO_FACTOR_NOT_ENABLED' })
+    }
+
+    await confirmPassword(user, password)
+
+    const result = await twoFactor.verifySecondFactor(user.id, { code, recoveryCode })
+
+    // Wrong codes count towards the lockout too, as they do at login
+    if (result.error) {
+        const lockout = await recordLoginFailure(user.email)
+
+        if (lockout > 0) {
+            throw tooManyAttempts(lockout)
+        }
+
+        throw twoFactorError(result.error)
+    }
+
+    await twoFactor.disableTwoFactor(user.id)
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' })
+}
+
+const listSessions = async (req, res) => {
+    res.status(200).json(await sessions.listSessions(req.user.userId, req.user.fid))
+}
+
+const revokeSession = async (req, res) => {
+    if (!(await sessions.revokeSession(req.user.userId, req.params.id))) {
+        throw new NotFoundError('Session not found')
+    }
+
+    res.status(200).json({ message: 'Session signed out' })
+}
+
+// Sign out everywhere, including the session making the request
+const signOutEverywhere = async (req, res) => {
+    await revokeAllSessions(req.user.userId, 'signed-out-everywhere')
+    await revokeAccessToken(req.user)
+
+    res.status(200).json({ message: 'Signed out of all sessions' })
+}
+
+module.exports = {
+    getMe,
+    updateMe,
+    changePassword,
+    deleteMe,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    listSessions,
+    revokeSession,
+    signOutEverywhere
+}
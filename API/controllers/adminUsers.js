@@ -0,0 +1,141 @@
+const { matchedData } = require('express-validator');
+const User = require('../models/User');
+const Item = require('../models/Item');
+const Audit = require('../models/Audit');
+const { revokeAllSessions } = require('../services/tokens');
+const { requestPasswordReset } = require('../services/passwordReset');
+const { toAdminUser } = require('../utils/publicUser');
+const { diffFields } = require('../utils/diff');
+const { BadRequestError, NotFoundError } = require('../errors');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+/**
+ * Record an admin action in the audit trail
+ * @param {object} req - Express request (req.user is the admin)
+ * @param {string} action - e.g. 'user:disable'
+ * @param {string|null} targetUserId - Account acted on, null for listings
+ * @param {object|null} before - Account before the change
+ * @param {object|null} after - Account after the change
+ */
+async function logAdminAction(req, action, targetUserId, before = null, after = null) {
+    await Audit.record({
+        itemId: null,
+        targetUserId,
+        action,
+        actorId: req.user.userId,
+        actorEmail: req.user.email,
+        changes: before || after ? diffFields(before, after) : null
+    });
+}
+
+// Load the account named in the URL, answering 404 when it does not exist
+async function loadTarget(req) {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    return user;
+}
+
+const listUsers = async (req, res) => {
+    const params = matchedData(req, { locations: ['query'] });
+
+    const page = await User.findPage({
+        ...params,
+        limit: params.limit || DEFAULT_PAGE_SIZE
+    });
+
+    await logAdminAction(req, 'user:list', null);
+
+    res.status(200).json({ ...page, items: page.items.map(toAdminUser) });
+};
+
+const getUser = async (req, res) => {
+    const user = await loadTarget(req);
+
+    await logAdminAction(req, 'user:view', user.id);
+
+    res.status(200).json(toAdminUser(user));
+};
+
+const getUserItems = async (req, res) => {
+    const user = await loadTarget(req);
+
+    const params = matchedData(req, { locations: ['query'] });
+
+    const page = await Item.findPage({
+        ...params,
+        createdBy: user.id,
+        limit: params.limit || DEFAULT_PAGE_SIZE,
+        sort: 'createdAt',
+        order: 'desc'
+    });
+
+    await logAdminAction(req, 'user:items', user.id);
+
+    res.status(200).json(page);
+};
+
+const disableUser = async (req, res) => {
+    const user = await loadTarget(req);
+
+    if (user.id === req.user.userId) {
+        throw new BadRequestError('You cannot disable your own account', { code: 'CANNOT_DISABLE_SELF' });
+    }
+
+    const changes = {
+        disabled: true,
+        disabledAt: new Date().toISOString(),
+        disabledBy: req.user.userId,
+        disabledReason: (req.body && req.body.reason) || null
+    };
+
+    await User.update(user.id, changes);
+    // Signing out every session also denylists the access tokens already issued
+    await revokeAllSessions(user.id, 'disabled');
+    await logAdminAction(req, 'user:disable', user.id, user, { ...user, ...changes });
+
+    res.status(200).json(toAdminUser({ ...user, ...changes }));
+};
+
+const enableUser = async (req, res) => {
+    const user = await loadTarget(req);
+
+    const changes = {
+        disabled: false,
+        disabledAt: null,
+        disabledBy: null,
+        disabledReason: null
+    };
+
+    await User.update(user.id, changes);
+    await logAdminAction(req, 'user:enable', user.id, user, { ...user, ...changes });
+
+    res.status(200).json(toAdminUser({ ...user, ...changes }));
+};
+
+// The user is signed out and can only log in again after choosing a new password
+const forcePasswordReset = async (req, res) => {
+    const user = await loadTarget(req);
+
+    const changes = { passwordResetRequired: true };
+
+    await User.update(user.id, changes);
+    await revokeAllSessions(user.id, 'forced-password-reset');
+    await requestPasswordReset(user.email);
+    await logAdminAction(req, 'user:force-password-reset', user.id, user, { ...user, ...changes });
+
+    res.status(200).json(toAdminUser({ ...user, ...changes }));
+};
+
+module.exports = {
+    listUsers,
+    getUser,
+    getUserItems,
+    disableUser,
+    enableUser,
+    forcePasswordReset
+};
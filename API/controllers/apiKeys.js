@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const { hashToken } = require('../auth');
+const { hasPermission } = require('../permissions');
+const { ForbiddenError, NotFoundError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEY_PREFIX = 'rcd_';
+
+// Random key such as "rcd_3q2x...": the prefix makes leaked keys easy to recognize
+function generateApiKey() {
+    return KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+// Public view of a key: never expose the key hash
+function toApiKeyResponse({ keyHash, ...apiKey }) {
+    let status = 'active';
+    if (apiKey.revokedAt) status = 'revoked';
+    else if (apiKey.expiresAt && apiKey.expiresAt <= new Date().toISOString()) status = 'expired';
+
+    return { ...apiKey, status };
+}
+
+const createApiKey = async (req, res) => {
+    const { name, scopes, expiresInDays } = req.body;
+
+    // A key can only carry permissions the user has
+    const notGranted = scopes.filter((scope) => !hasPermission(req.user.role, scope));
+
+    if (notGranted.length > 0) {
+        throw new ForbiddenError(`Your role does not grant: ${notGranted.join(', ')}`, { code: 'SCOPE_NOT_GRANTED' });
+    }
+
+    const key = generateApiKey();
+    const now = Date.now();
+
+    const apiKey = {
+        userId: req.user.userId,
+        name,
+        scopes: [...new Set(scopes)],
+        keyHash: hashToken(key),
+        // Shown in listings so users can tell their keys apart
+        keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: expiresInDays ? new Date(now + expiresInDays * DAY_MS).toISOString() : null,
+        lastUsedAt: null,
+        revokedAt: null
+    };
+
+    const apiKeyId = await ApiKey.create(apiKey);
+
+    // The plain key is only returned here; it cannot be recovered later
+    res.status(201).json({
+        ...toApiKeyResponse({ id: apiKeyId, ...apiKey }),
+        key
+    });
+};
+
+const listApiKeys = async (req, res) => {
+    const apiKeys = await ApiKey.findByUser(req.user.userId);
+
+    apiKeys.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.status(200).json(apiKeys.map(toApiKeyResponse));
+};
+
+const revokeApiKey = async (req, res) => {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    // Other users' keys are reported as missing so their ids cannot be probed
+    if (!apiKey || apiKey.userId !== req.user.userId) {
+        throw new NotFoundError('API key not found');
+    }
+
+    if (!apiKey.revokedAt) {
+        await ApiKey.update(apiKey.id, { revokedAt: new Date().toISOString() });
+    }
+
+    res.status(200).json({ message: 'API key revoked' });
+};
+
+module.exports = {
+    createApiKey,
+    listApiKeys,
+    revokeApiKey
+};
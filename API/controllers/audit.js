@@ -0,0 +1,17 @@
+const { matchedData } = require('express-validator');
+const Audit = require('../models/Audit');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+const getAuditLog = async (req, res) => {
+    const params = matchedData(req, { locations: ['query'] });
+
+    const page = await Audit.findPage({
+        ...params,
+        limit: params.limit || DEFAULT_PAGE_SIZE
+    });
+
+    res.status(200).json(page);
+};
+
+module.exports = { getAuditLog };
@@ -0,0 +1,60 @@
+const db = require('../db');
+const Item = require('../models/Item');
+const { gauge, renderMetrics } = require('../services/metrics');
+
+// A datastore that takes longer than this to answer counts as not ready
+const READINESS_TIMEOUT_MS = 2000;
+
+gauge('items_count', 'Items in the catalogue, by state (active or trashed)', async () => {
+    const [active, trashed] = await Promise.all([Item.count(), Item.count({ deleted: true })]);
+
+    return [
+        { labels: { state: 'active' }, value: active },
+        { labels: { state: 'trashed' }, value: trashed }
+    ];
+});
+
+gauge('process_uptime_seconds', 'Time since the API process started', async () => [
+    { value: process.uptime() }
+]);
+
+gauge('process_resident_memory_bytes', 'Resident memory of the API process', async () => [
+    { value: process.memoryUsage().rss }
+]);
+
+// Read one (missing) document: cheap on every backend and fails when the datastore is unreachable
+async function checkDatastore() {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${READINESS_TIMEOUT_MS}ms`)), READINESS_TIMEOUT_MS);
+    });
+
+    try {
+        await Promise.race([db.collection('items').findById('readiness-probe'), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// Liveness: the process is up and answering requests
+const getHealth = async (req, res) => {
+    res.status(200).json({ status: 'ok', uptime: process.uptime() });
+};
+
+// Readiness: the API can serve traffic, which needs the datastore
+const getReadiness = async (req, res) => {
+    try {
+        await checkDatastore();
+    } catch(error) {
+        req.log.warn('Readiness check failed', { err: error });
+        return res.status(503).json({ status: 'unavailable', checks: { datastore: 'unavailable' } });
+    }
+
+    res.status(200).json({ status: 'ok', checks: { datastore: 'ok' } });
+};
+
+const getMetrics = async (req, res) => {
+    res.status(200).type('text/plain; version=0.0.4').send(await renderMetrics());
+};
+
+module.exports = { getHealth, getReadiness, getMetrics };
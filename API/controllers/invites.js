@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const Invite = require('../models/Invite');
+const { hashToken } = require('../auth');
+const { NotFoundError, ConflictError } = require('../errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_INVITE_DAYS = 7;
+
+// Unambiguous characters only (no 0/O, 1/I/L) so codes can be read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// Random code such as "K7QP-M3XT-9RWA"
+function generateInviteCode() {
+    const bytes = crypto.randomBytes(12);
+    const chars = [...bytes].map((byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+    return [0, 4, 8].map((start) => chars.slice(start, start + 4).join('')).join('-');
+}
+
+// Public view of an invite: never expose the code hash
+function toInviteResponse({ codeHash, ...invite }) {
+    let status = 'active';
+    if (invite.revokedAt) status = 'revoked';
+    else if (invite.usedAt) status = 'used';
+    else if (invite.expiresAt <= new Date().toISOString()) status = 'expired';
+
+    return { ...invite, status };
+}
+
+const createInvite = async (req, res) => {
+    const { email, role, expiresInDays } = req.body || {};
+    const code = generateInviteCode();
+    const now = Date.now();
+
+    const invite = {
+        codeHash: hashToken(code),
+        email: email || null,
+        role: role || null,
+        createdBy: req.user.userId,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + (expiresInDays || DEFAULT_INVITE_DAYS) * DAY_MS).toISOString(),
+        usedAt: null,
+        usedBy: null,
+        revokedAt: null
+    };
+
+    const inviteId = await Invite.create(invite);
+
+    // The plain code is only returned here; it cannot be recovered later
+    res.status(201).json({
+        ...toInviteResponse({ id: inviteId, ...invite }),
+        code
+    });
+};
+
+const listInvites = async (req, res) => {
+    const invites = await Invite.findAll();
+
+    invites.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    res.status(200).json(invites.map(toInviteResponse));
+};
+
+const revokeInvite = async (req, res) => {
+    const invite = await Invite.findById(req.params.id);
+
+    if (!invite) {
+        throw new NotFoundError('Invite not found');
+    }
+
+    if (invite.usedAt) {
+        throw new ConflictError('Invite has already been used', { code: 'INVITE_USED' });
+    }
+
+    if (!invite.revokedAt) {
+        await Invite.update(invite.id, { revokedAt: new Date().toISOString() });
+    }
+
+    res.status(200).json({ message: 'Invite revoked' });
+};
+
+module.exports = {
+    createInvite,
+    listInvites,
+    revokeInvite
+};
@@ -1,114 +1,377 @@
-const { validationResult } = require('express-validator');
-const { findAll, findById, create, update, remove } = require('../models/Item');
+const { matchedData } = require('express-validator');
+const { findPage, findById, create, replace, remove, runTransaction } = require('../models/Item');
+const itemSearch = require('../services/itemSearch');
+const { hasPermission } = require('../permissions');
+const { applyMergePatch } = require('../utils/mergePatch');
+const { itemEtag, ifMatchSatisfied } = require('../utils/etag');
+const { diffFields } = require('../utils/diff');
+const Audit = require('../models/Audit');
+const { UNOWNED_ITEMS_POLICY } = require('../config');
+const {
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError
+} = require('../errors');
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Fields maintained by the server; clients can never set or clear them
+const SYSTEM_FIELDS = ['createdBy', 'createdAt', 'updatedAt', 'version', 'deletedAt', 'deletedBy'];
+
+/**
+ * Build the client-editable part of an item from a validated body
+ * inStock is always derived from quantity, which defaults to 0 when not supplied.
+ * Optional text fields that are absent are left out entirely.
+ * @param {object} fields - Request body or merge-patched item
+ * @returns {object} Item fields to store
+ */
+function buildItemFields({ name, price, quantity, description, category }) {
+    const stock = quantity === undefined ? 0 : parseInt(quantity, 10);
+
+    const fields = {
+        name: name,
+        price: parseFloat(price),
+        quantity: stock,
+        inStock: stock > 0
+    };
+
+    if (description !== undefined) fields.description = description;
+    if (category !== undefined) fields.category = category;
+
+    return fields;
+}
+
+// Split a stored item into its server-managed fields and its editable content
+function splitItem({ id, ...item }) {
+    const system = {};
+    const content = {};
+
+    for (const [key, value] of Object.entries(item)) {
+        if (SYSTEM_FIELDS.includes(key)) {
+            system[key] = value;
+        } else {
+            content[key] = value;
+        }
+    }
+
+    return { system, content };
+}
+
+/**
+ * Decide whether a user may modify an item
+ * Users with the items:manage permission (admins) may modify any item.
+ * @param {object} item - Stored item
+ * @param {object} user - Decoded token payload (req.user)
+ * @returns {{ allowed: boolean, claim: boolean }} claim is true when the user should become the owner
+ */
+function checkOwnership(item, user) {
+    if (hasPermission(user.role, 'items:manage')) {
+        return { allowed: true, claim: false };
+    }
+
+    if (item.createdBy) {
+        return { allowed: item.createdBy === user.userId, claim: false };
+    }
+
+    // Items created before ownership was recorded (no createdBy), per UNOWNED_ITEMS_POLICY:
+    // deny (default) lets nobody modify them, claim makes the first user to modify
+    // an item its owner, allow lets any logged-in user modify them
+    return {
+        allowed: UNOWNED_ITEMS_POLICY !== 'deny',
+        claim: UNOWNED_ITEMS_POLICY === 'claim'
+    };
+}
+
+/**
+ * Record who changed an item and how, inside the transaction making the change
+ * @param {object} tx - Store transaction
+ * @param {object} req - Express request (req.user is the actor)
+ * @param {string} itemId - Item id
+ * @param {string} action - create, update, delete, restore or purge
+ * @param {object|null} before - Item before the change
+ * @param {object|null} after - Item after the change
+ */
+async function auditChange(tx, req, itemId, action, before, after) {
+    await Audit.record({
+        itemId,
+        action,
+        actorId: req.user.userId,
+        actorEmail: req.user.email,
+        changes: diffFields(before, after)
+    }, tx);
+}
 
 const getAllItems = async (req, res) => {
-    try {
-        const items = await findAll();
-        res.status(200).json(items);
-    } catch(error) {
-        console.error('Error fetching items:', error);
-        res.status(500).json({ error: 'Failed to get items' });
+    const { owner, ...params } = matchedData(req, { locations: ['query'] });
+
+    if (owner === 'me' && !req.user) {
+        throw new UnauthorizedError('Login required to list your own items', { code: 'LOGIN_REQUIRED' });
     }
+
+    const page = await findPage({
+        ...params,
+        createdBy: owner === 'me' ? req.user.userId : undefined,
+        limit: params.limit || DEFAULT_PAGE_SIZE,
+        sort: params.sort || 'name',
+        order: params.order || 'asc'
+    });
+
+    res.status(200).json(page);
 };
 
-const getItemById = async (req, res) => {
-    try {
-        const id = req.params.id;
+const searchItems = async (req, res) => {
+    const { q, limit } = matchedData(req, { locations: ['query'] });
+
+    const matches = await itemSearch.search(q);
+    const topMatches = matches.slice(0, limit || DEFAULT_PAGE_SIZE);
+
+    const items = await Promise.all(topMatches.map(async ({ id, score }) => {
         const item = await findById(id);
+        return item && { ...item, score };
+    }));
 
-        if (!item) {
-            return res.status(404).json({ error: 'Item not found' });
-        }
+    res.status(200).json({
+        items: items.filter(Boolean),
+        total: matches.length
+    });
+};
 
-        res.status(200).json(item);
-    } catch(error) {
-        console.error('Error fetching item:', error);
-        res.status(500).json({ error: 'Failed to fetch item' });
+const getItemById = async (req, res) => {
+    const item = await findById(req.params.id);
+
+    if (!item || item.deletedAt) {
+        throw new NotFoundError('Item not found');
     }
+
+    // Express answers 304 by itself when If-None-Match matches this ETag
+    res.set('ETag', itemEtag(item));
+    res.status(200).json(item);
 };
 
 const createItem = async (req, res) => {
-    const validationErrors = validationResult(req);
+    const now = new Date().toISOString();
+
+    const newProduct = {
+        ...buildItemFields(req.body),
+        createdBy: req.user.userId,
+        createdAt: now,
+        updatedAt: now,
+        version: 1,
+        deletedAt: null
+    };
+
+    const itemId = await runTransaction(async (tx) => {
+        const id = await create(newProduct, tx);
+        await auditChange(tx, req, id, 'create', null, newProduct);
+        return id;
+    });
+    itemSearch.indexItem({ id: itemId, ...newProduct });
+
+    res.set('ETag', itemEtag(newProduct));
+    res.status(201).json({ id: itemId });
+};
+
+/**
+ * Load an item inside a transaction and run the checks shared by every write:
+ * existence (404), trash state (404/409), ownership (403) and the If-Match
+ * precondition (412). Throwing inside the transaction discards it.
+ * A 412 carries the current item in details and its ETag so the client can
+ * merge and retry.
+ * @param {object} req - Express request
+ * @param {object} tx - Store transaction
+ * @param {string} action - Verb used in the 403 message
+ * @param {boolean} [inTrash] - Whether the action applies to trashed items
+ * @returns {object} { item, ownership }
+ */
+async function loadForWrite(req, tx, action, inTrash = false) {
+    const item = await findById(req.params.id, tx);
+
+    if (!item || (item.deletedAt && !inTrash)) {
+        throw new NotFoundError('Item not found');
+    }
+
+    if (inTrash && !item.deletedAt) {
+        throw new ConflictError('Item is not in the trash', { code: 'ITEM_NOT_IN_TRASH' });
+    }
 
-    if (!validationErrors.isEmpty()) {
-        return res.status(400).json({
-            error: validationErrors.array()
+    const ownership = checkOwnership(item, req.user);
+
+    if (!ownership.allowed) {
+        throw new ForbiddenError(`Only the owner can ${action} this item`, { code: 'NOT_ITEM_OWNER' });
+    }
+
+    if (!ifMatchSatisfied(req.get('If-Match'), item)) {
+        throw new PreconditionFailedError('Item was changed by someone else', {
+            code: 'ITEM_VERSION_MISMATCH',
+            details: { item },
+            headers: { ETag: itemEtag(item) }
         });
     }
 
-    try {
-        const { name, price } = req.body;
+    return { item, ownership };
+}
+
+/**
+ * Store the new content of an item, keeping its server-managed fields
+ * Shared by PUT (full replacement) and PATCH (merge patch). The read, the
+ * If-Match check and the write happen in one transaction so a concurrent
+ * change can never be overwritten silently.
+ */
+const saveItem = async (req, res, buildContent) => {
+    const id = req.params.id;
+
+    const savedItem = await runTransaction(async (tx) => {
+        const { item, ownership } = await loadForWrite(req, tx, 'modify');
 
-        const newProduct = {
-            name: name,
-            price: parseFloat(price)
+        const { system, content } = splitItem(item);
+
+        const newItem = {
+            ...buildItemFields(buildContent(content)),
+            ...system,
+            updatedAt: new Date().toISOString(),
+            version: (item.version || 0) + 1
         };
+        if (ownership.claim) newItem.createdBy = req.user.userId;
 
-        const itemId = await create(newProduct);
+        await auditChange(tx, req, id, 'update', item, newItem);
 
-        res.status(201).json({ id: itemId });
-    } catch(error) {
-        console.error('Error adding item:', error);
-        res.status(500).json({ error: 'Failed to add item' });
-    }
+        return await replace(id, newItem, tx);
+    });
+
+    itemSearch.indexItem(savedItem);
+
+    res.set('ETag', itemEtag(savedItem));
+    res.status(200).json(savedItem);
 };
 
+// PUT replaces the whole item: fields not supplied are cleared
 const updateItem = async (req, res) => {
-    const validationErrors = validationResult(req);
+    await saveItem(req, res, () => req.body);
+};
 
-    if (!validationErrors.isEmpty()) {
-        return res.status(400).json({
-            error: validationErrors.array()
-        });
-    }
+// PATCH applies a JSON Merge Patch: null removes a field, absent fields are kept
+const patchItem = async (req, res) => {
+    await saveItem(req, res, (content) => applyMergePatch(content, req.body));
+};
 
-    try {
-        const id = req.params.id;
-        const { name, price } = req.body;
+/**
+ * Apply a change to an item's server-managed fields in a transaction
+ * Used by the trash actions, which never touch the item's content.
+ * @param {Function} change - (item) => fields to merge into the stored item
+ * @returns {Promise<object>} The changed item
+ */
+const changeItemState = async (req, action, inTrash, change) => {
+    return await runTransaction(async (tx) => {
+        const loaded = await loadForWrite(req, tx, action, inTrash);
 
-        const item = await findById(id);
+        const { id, ...item } = loaded.item;
+        const newItem = {
+            ...item,
+            ...change(item),
+            updatedAt: new Date().toISOString(),
+            version: (item.version || 0) + 1
+        };
 
-        if (!item) {
-            return res.status(404).json({ error: 'Item not found' });
-        }
+        await auditChange(tx, req, id, action, item, newItem);
+
+        return await replace(id, newItem, tx);
+    });
+};
 
-        // Build update object with only provided fields
-        const updateData = {};
-        if (name !== undefined) updateData.name = name;
-        if (price !== undefined) updateData.price = parseFloat(price);
+// Deleting moves the item to the trash; it can be restored until it is purged
+const deleteItem = async (req, res) => {
+    const item = await changeItemState(req, 'delete', false, () => ({
+        deletedAt: new Date().toISOString(),
+        deletedBy: req.user.userId
+    }));
 
-        const updatedItem = await update(id, updateData);
+    itemSearch.removeItem(req.params.id);
 
-        res.status(200).json(updatedItem);
-    } catch(error) {
-        console.error('Error updating item:', error);
-        res.status(500).json({ error: 'Failed to update item' });
-    }
+    res.set('ETag', itemEtag(item));
+    res.status(200).json({ message: 'Item moved to trash', item });
 };
 
-const deleteItem = async (req, res) => {
-    try {
-        const id = req.params.id;
+const restoreItem = async (req, res) => {
+    const item = await changeItemState(req, 'restore', true, () => ({
+        deletedAt: null,
+        deletedBy: null
+    }));
+
+    itemSearch.indexItem(item);
+
+    res.set('ETag', itemEtag(item));
+    res.status(200).json(item);
+};
+
+// Permanently remove an item that is already in the trash
+const purgeItem = async (req, res) => {
+    await runTransaction(async (tx) => {
+        const { item } = await loadForWrite(req, tx, 'purge', true);
+
+        await auditChange(tx, req, req.params.id, 'purge', item, null);
+        await remove(req.params.id, tx);
+    });
+
+    res.status(200).json({ message: 'Item permanently deleted' });
+};
 
+// Change history of one item, newest first; visible to its owner and to admins
+const getItemHistory = async (req, res) => {
+    const id = req.params.id;
+    const params = matchedData(req, { locations: ['query'] });
+    const isAdmin = hasPermission(req.user.role, 'audit:read');
+
+    if (!isAdmin) {
         const item = await findById(id);
 
+        // Purged items only keep their history, which only admins can read
         if (!item) {
-            return res.status(404).json({ error: 'Item not found' });
+            throw new NotFoundError('Item not found');
         }
 
-        await remove(id);
-
-        res.status(200).json({ message: 'Item deleted successfully' });
-    } catch(error) {
-        console.error('Error deleting item:', error);
-        res.status(500).json({ error: 'Failed to delete item' });
+        if (item.createdBy !== req.user.userId) {
+            throw new ForbiddenError('Only the owner can view the history of this item', { code: 'NOT_ITEM_OWNER' });
+        }
     }
+
+    const page = await Audit.findPage({
+        ...params,
+        itemId: id,
+        limit: params.limit || DEFAULT_PAGE_SIZE
+    });
+
+    res.status(200).json(page);
+};
+
+// Trashed items of the current user, or of everyone for admins
+const getTrash = async (req, res) => {
+    const params = matchedData(req, { locations: ['query'] });
+    const seeAll = hasPermission(req.user.role, 'items:manage');
+
+    const page = await findPage({
+        ...params,
+        deleted: true,
+        createdBy: seeAll ? undefined : req.user.userId,
+        limit: params.limit || DEFAULT_PAGE_SIZE,
+        sort: 'deletedAt',
+        order: 'desc'
+    });
+
+    res.status(200).json(page);
 };
 
 module.exports = {
     getAllItems,
+    searchItems,
     getItemById,
     createItem,
     updateItem,
-    deleteItem
+    patchItem,
+    deleteItem,
+    restoreItem,
+    purgeItem,
+    getTrash,
+    getItemHistory
 };
@@ -1,105 +1,308 @@
-const { validationResult } = require('express-validator')
-const { findByEmail, verifyPassword, checkEmailExists, create } = require('../models/User')
-const { generateToken, hashPassword } = require('../auth')
+const { findById, findByEmail, verifyPassword, checkEmailExists, create, runTransaction } = require('../models/User')
+const Invite = require('../models/Invite')
+const { hashPassword, DUMMY_PASSWORD_HASH } = require('../auth')
+const { DEFAULT_ROLE } = require('../permissions')
+const { startSession, rotateRefreshToken, revokeFamily, revokeAccessToken } = require('../services/tokens')
+const emailVerification = require('../services/emailVerification')
+const passwordReset = require('../services/passwordReset')
+const twoFactor = require('../services/twoFactor')
+const { getLockoutSeconds, recordLoginFailure, clearLoginFailures } = require('../services/loginThrottle')
+const { toPublicUser } = require('../utils/publicUser')
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, TooManyRequestsError } = require('../errors')
+
+// Refresh failures reported by rotateRefreshToken
+const REFRESH_ERRORS = {
+    invalid: { code: 'REFRESH_TOKEN_INVALID', message: 'Invalid refresh token' },
+    expired: { code: 'REFRESH_TOKEN_EXPIRED', message: 'Refresh token expired' },
+    revoked: { code: 'REFRESH_TOKEN_REVOKED', message: 'Refresh token has been revoked' },
+    reused: { code: 'REFRESH_TOKEN_REUSED', message: 'Refresh token reuse detected; this login has been signed out everywhere' }
+}
+
+// Verification failures reported by the emailVerification service
+const VERIFY_ERRORS = {
+    invalid: { code: 'INVALID_VERIFICATION_TOKEN', message: 'Invalid or expired verification link' },
+    'already-verified': { code: 'EMAIL_ALREADY_VERIFIED', message: 'Email address is already verified' }
+}
+
+function lockoutError(seconds) {
+    return new TooManyRequestsError(`Too many failed login attempts, try again in ${seconds} seconds`, seconds, { code: 'LOGIN_LOCKED' })
+}
+
+/**
+ * Refuse accounts that may not log in even with correct credentials
+ * Only checked after the password, so the answer is never revealed to guessers.
+ * @param {object} user - Stored user
+ * @throws {ForbiddenError} ACCOUNT_DISABLED or PASSWORD_RESET_REQUIRED
+ */
+function checkLoginAllowed(user) {
+    if (user.disabled) {
+        throw new ForbiddenError('This account has been disabled', { code: 'ACCOUNT_DISABLED' })
+    }
+
+    if (user.passwordResetRequired) {
+        throw new ForbiddenError('A password reset is required; check your email for a reset token', { code: 'PASSWORD_RESET_REQUIRED' })
+    }
+}
+
+// Device details stored with a new session so users can recognize it later
+function clientInfo(req) {
+    return { userAgent: req.get('user-agent') || null, ip: req.ip }
+}
+
+// Start a session for a user who passed every login step
+async function completeLogin(req, res, user, extra = {}) {
+    await clearLoginFailures(user.email)
+
+    // Accounts created before roles existed get the default role
+    const role = user.role || DEFAULT_ROLE
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await startSession({ ...user, role }, clientInfo(req))
+
+    res.status(200).json({
+        message: 'Login successful',
+        token,
+        refreshToken,
+        user: toPublicUser({ ...user, role }),
+        ...extra
+    });
+}
 
 const login = async (req, res) => {
-    const validationErrors = validationResult(req);
+    const { email, password } = req.body;
+
+    // Locked accounts are refused before the (deliberately slow) password check
+    const lockedFor = await getLockoutSeconds(email)
+
+    if (lockedFor > 0) {
+        throw lockoutError(lockedFor)
+    }
+
+    const user = await findByEmail(email)
+    // Unknown emails still pay for a bcrypt comparison, which then never counts
+    const passIsValid = await verifyPassword(password, user ? user.password : DUMMY_PASSWORD_HASH) && Boolean(user)
+
+    if (!passIsValid) {
+        const lockout = await recordLoginFailure(email)
 
-    if (!validationErrors.isEmpty()) {
-        return res.status(400).json({
-            error: validationErrors.array()
+        if (lockout > 0) {
+            throw lockoutError(lockout)
+        }
+
+        throw new UnauthorizedError('Invalid login', { code: 'INVALID_CREDENTIALS' })
+    }
+
+    checkLoginAllowed(user)
+
+    // With 2FA on, the password only earns a challenge token for the second step
+    if (twoFactor.isTwoFactorEnabled(user)) {
+        return res.status(200).json({
+            message: 'Two-factor code required',
+            twoFactorRequired: true,
+            challengeToken: twoFactor.createLoginChallenge(user)
         })
     }
-    
-    try {
-        const { email, password } = req.body;
 
-        const user = await findByEmail(email)
+    await completeLogin(req, res, user)
+}
+
+const loginTwoFactor = async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const userId = twoFactor.readLoginChallenge(challengeToken)
+    const user = userId && await findById(userId)
+
+    if (!user) {
+        throw new UnauthorizedError('Login challenge is invalid or has expired; please log in again', { code: 'INVALID_CHALLENGE' })
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const lockedFor = await getLockoutSeconds(user.email)
 
-        if(!user) {
-            return res.status(401).json({
-                error: "Invalid login"
-            })
+    if (lockedFor > 0) {
+        throw lockoutError(lockedFor)
+    }
+
+    checkLoginAllowed(user)
+
+    const result = await twoFactor.verifySecondFactor(user.id, { code, recoveryCode })
+
+    if (result.error) {
+        const lockout = await recordLoginFailure(user.email)
+
+        if (lockout > 0) {
+            throw lockoutError(lockout)
         }
 
-        const passIsValid = await verifyPassword(password, user.password)
+        throw new UnauthorizedError('Invalid two-factor code', { code: 'INVALID_TWO_FACTOR_CODE' })
+    }
+
+    await completeLogin(req, res, result.user, result.usedRecoveryCode
+        ? { recoveryCodesLeft: result.recoveryCodesLeft }
+        : {})
+}
+
+/**
+ * Check that an invite can still be redeemed by this email address
+ * @param {object|null} invite - Stored invite
+ * @param {string} email - Normalized email of the new account
+ * @returns {boolean} True if the invite is valid
+ */
+function isInviteUsable(invite, email) {
+    return Boolean(invite)
+        && !invite.usedAt
+        && !invite.revokedAt
+        && invite.expiresAt > new Date().toISOString()
+        && (!invite.email || invite.email === email);
+}
+
+const register = async (req, res) => {
+    const { email, password, inviteCode } = req.body;
+
+    // Hash password and create user
+    const hashedPassword = await hashPassword(password);
+    const newUser = {
+        email,
+        password: hashedPassword,
+        role: DEFAULT_ROLE,
+        emailVerified: false,
+        createdAt: new Date().toISOString()
+    };
 
-        if (!passIsValid) {
-            return res.status(401).json({
-                error: "Invalid login"
-            })
+    // The email check, invite redemption and account creation happen together,
+    // so an invite can never be used twice and an email never registered twice
+    const userId = await runTransaction(async (tx) => {
+        // Check if user already exists
+        if (await checkEmailExists(email, tx)) {
+            throw new ConflictError('User with this email already exists', { code: 'EMAIL_TAKEN' });
         }
 
-        // Generate JWT token
-        const token = generateToken({
-            id: user.id,
-            email: user.email
-        });
-
-        res.status(200).json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: user.id,
-                email: user.email
+        let invite = null;
+
+        if (inviteCode) {
+            invite = await Invite.findByCode(inviteCode, tx);
+
+            if (!isInviteUsable(invite, email)) {
+                throw new BadRequestError('Invalid or expired invite code', { code: 'INVALID_INVITE' });
             }
-        });
 
+            newUser.role = invite.role || DEFAULT_ROLE;
+        }
+
+        const id = await create(newUser, tx);
+
+        if (invite) {
+            await Invite.update(invite.id, { usedAt: new Date().toISOString(), usedBy: id }, tx);
+        }
+
+        return id;
+    });
+
+    // A mail failure must not undo the registration; the user can ask for a new link
+    try {
+        await emailVerification.sendVerificationEmail({ id: userId, email });
     } catch(error) {
-        console.error('Login error:', error);
-        res.status(500).json({ error: 'Authentication failed' });
+        req.log.error('Verification email error', { err: error })
     }
-}
 
-const register = async (req, res) => {
-    const validationErrors = validationResult(req);
+    // Generate access and refresh tokens for automatic login
+    const { token, refreshToken } = await startSession({ id: userId, ...newUser }, clientInfo(req));
+
+    res.status(201).json({
+        message: 'User registered successfully',
+        token,
+        refreshToken,
+        user: toPublicUser({ id: userId, ...newUser })
+    });
+};
+
+const refresh = async (req, res) => {
+    const result = await rotateRefreshToken(req.body.refreshToken, { ip: req.ip });
 
-    if (!validationErrors.isEmpty()) {
-        return res.status(400).json({
-            error: validationErrors.array()
-        });
+    if (result.error) {
+        const { code, message } = REFRESH_ERRORS[result.error];
+        throw new UnauthorizedError(message, { code });
     }
 
-    try {
-        const { email, password } = req.body;
+    res.status(200).json({
+        message: 'Token refreshed',
+        token: result.token,
+        refreshToken: result.refreshToken,
+        user: toPublicUser(result.user)
+    });
+};
 
-        // Check if user already exists
-        const userExists = await checkEmailExists(email);
+const logout = async (req, res) => {
+    // Revoke the refresh token family of this login and the access token in use
+    if (req.user.fid) {
+        await revokeFamily(req.user.fid, 'logout');
+    }
+    await revokeAccessToken(req.user);
 
-        if (userExists) {
-            return res.status(409).json({
-                error: 'User with this email already exists'
-            });
-        }
+    res.status(200).json({ message: 'Logged out' });
+};
 
-        // Hash password and create user
-        const hashedPassword = await hashPassword(password);
-        const newUser = {
-            email,
-            password: hashedPassword,
-            createdAt: new Date().toISOString()
-        };
-
-        const userId = await create(newUser);
-
-        // Generate JWT token for automatic login
-        const token = generateToken({
-            id: userId,
-            email: email
-        });
-
-        res.status(201).json({
-            message: 'User registered successfully',
-            token,
-            user: {
-                id: userId,
-                email: email
-            }
-        });
-    } catch(error) {
-        console.error('Registration error:', error);
-        res.status(500).json({ error: 'Registration failed' });
+const verifyEmail = async (req, res) => {
+    const result = await emailVerification.verifyEmail(req.query.token);
+
+    if (result.error) {
+        const { code, message } = VERIFY_ERRORS[result.error];
+        throw new BadRequestError(message, { code });
+    }
+
+    res.status(200).json({ message: 'Email address verified' });
+};
+
+const resendVerification = async (req, res) => {
+    const result = await emailVerification.resendVerificationEmail(req.user.userId);
+
+    if (result.error === 'throttled') {
+        throw new TooManyRequestsError(`Please wait ${result.retryAfter} seconds before requesting another email`, result.retryAfter);
+    }
+
+    if (result.error === 'not-found') {
+        throw new NotFoundError('User not found');
+    }
+
+    if (result.error) {
+        const { code, message } = VERIFY_ERRORS[result.error];
+        throw new BadRequestError(message, { code });
     }
+
+    res.status(200).json({ message: 'Verification email sent' });
+};
+
+const forgotPassword = async (req, res) => {
+    // The answer is the same whether or not the account exists, so it cannot
+    // be used to find out which emails are registered. It is also sent before
+    // the token is stored and mailed, so its timing gives nothing away either.
+    passwordReset.requestPasswordReset(req.body.email).catch((error) => {
+        req.log.error('Forgot password error', { err: error })
+    })
+
+    res.status(200).json({
+        message: 'If an account exists for this email, a password reset token has been sent'
+    });
 };
 
-module.exports = { login, register };
\ No newline at end of file
+const resetPassword = async (req, res) => {
+    const { token, password } = req.body;
+    const result = await passwordReset.resetPassword(token, password);
+
+    if (result.error) {
+        throw new BadRequestError('Invalid or expired reset token', { code: 'INVALID_RESET_TOKEN' });
+    }
+
+    res.status(200).json({ message: 'Password has been reset; please log in again' });
+};
+
+module.exports = {
+    login,
+    loginTwoFactor,
+    register,
+    refresh,
+    logout,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword
+};
@@ -1,21 +1,40 @@
-const admin = require('firebase-admin');
+const path = require('path');
+const { STORAGE_BACKEND, STORAGE_FILE, FIREBASE_SERVICE_ACCOUNT } = require('./config');
+const { createMemoryStore } = require('./storage/memory');
+const { createJsonFileStore } = require('./storage/jsonFile');
+const { createFirestoreStore } = require('./storage/firestore');
 
 /**
- * Initialize Firebase Admin SDK and return Firestore database instance
- * Uses the singleton pattern - Firebase is initialized only once
- * @returns {admin.firestore.Firestore} Firestore database instance
+ * Initialize the document store selected by STORAGE_BACKEND (see config.js)
+ * Uses the singleton pattern - the store is initialized only once
+ *
+ * - firestore (default): Cloud Firestore using serviceAccount.json (or FIREBASE_SERVICE_ACCOUNT)
+ * - json: a local JSON file at STORAGE_FILE (defaults to data/db.json)
+ * - memory: process memory only, the default with NODE_ENV=test
+ *
+ * Every backend exposes collection(name) with findAll, findById, findWhere,
+ * query, count, create, update, set (full replace) and remove, plus
+ * runTransaction(fn) for atomic read-then-write sequences.
+ * @returns {object} Document store instance
  */
-function initializeFirestore() {
-    // Initialize Firebase Admin with service account credentials
-    admin.initializeApp({
-        credential: admin.credential.cert(require('./serviceAccount.json'))
-    });
-
-    // Return Firestore database instance
-    return admin.firestore();
+function initializeStore() {
+    switch (STORAGE_BACKEND) {
+        case 'memory':
+            return createMemoryStore();
+        case 'json':
+            return createJsonFileStore(
+                path.resolve(__dirname, STORAGE_FILE)
+            );
+        case 'firestore':
+            return createFirestoreStore(
+                path.resolve(__dirname, FIREBASE_SERVICE_ACCOUNT)
+            );
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected firestore, json or memory)`);
+    }
 }
 
-// Initialize and export the database instance
-const db = initializeFirestore();
+// Initialize and export the store instance
+const db = initializeStore();
 
 module.exports = db;
@@ -0,0 +1,99 @@
+/**
+ * Errors thrown by controllers, middleware and models
+ * The error middleware turns them into the JSON error envelope:
+ * { error: { code, message, details, requestId } }
+ */
+class AppError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} code - Stable machine-readable code, e.g. 'NOT_FOUND'
+     * @param {string} message - Human-readable message
+     * @param {object} [options]
+     * @param {*} [options.details] - Extra information, e.g. per-field validation errors
+     * @param {object} [options.headers] - Response headers to send with the error
+     */
+    constructor(status, code, message, { details = null, headers = {} } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+/**
+ * Request failed express-validator checks
+ * details lists one { field, location, message } per failed check; the
+ * submitted values are left out so passwords are never echoed back.
+ */
+class ValidationError extends AppError {
+    constructor(validationErrors) {
+        super(400, 'VALIDATION_ERROR', 'Request validation failed', {
+            details: validationErrors.map((error) => ({
+                field: error.path || null,
+                location: error.location || null,
+                message: error.msg
+            }))
+        });
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message, { code = 'BAD_REQUEST', ...options } = {}) {
+        super(400, code, message, options);
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message, { code = 'UNAUTHORIZED', ...options } = {}) {
+        super(401, code, message, options);
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message, { code = 'FORBIDDEN', ...options } = {}) {
+        super(403, code, message, options);
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message, { code = 'NOT_FOUND', ...options } = {}) {
+        super(404, code, message, options);
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message, { code = 'CONFLICT', ...options } = {}) {
+        super(409, code, message, options);
+    }
+}
+
+class PreconditionFailedError extends AppError {
+    constructor(message, { code = 'PRECONDITION_FAILED', ...options } = {}) {
+        super(412, code, message, options);
+    }
+}
+
+// Sends Retry-After with the number of seconds to wait
+class TooManyRequestsError extends AppError {
+    constructor(message, retryAfter, { code = 'TOO_MANY_REQUESTS', ...options } = {}) {
+        super(429, code, message, {
+            ...options,
+            headers: { ...options.headers, 'Retry-After': String(retryAfter) }
+        });
+        this.retryAfter = retryAfter;
+    }
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    TooManyRequestsError
+};
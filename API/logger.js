@@ -0,0 +1,108 @@
+const { LOG_LEVEL } = require('./config');
+
+/**
+ * Structured logger writing one JSON object per line to stdout
+ * Level is set with LOG_LEVEL (debug, info, warn, error or silent; see config.js).
+ * Secrets are redacted wherever they appear in the logged fields.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Fields whose values never reach the logs, matched case-insensitively at any depth
+const REDACTED_FIELDS = new Set([
+    'authorization',
+    'cookie',
+    'set-cookie',
+    'password',
+    'currentpassword',
+    'newpassword',
+    'token',
+    'refreshtoken',
+    'challengetoken',
+    'recoverycode',
+    'recoverycodes',
+    'code',
+    'secret',
+    'key'
+]);
+
+const REDACTED = '[REDACTED]';
+
+// Errors become plain objects so their message and stack survive JSON.stringify
+function serializeError(error) {
+    return {
+        type: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        ...(error.status !== undefined && { status: error.status }),
+        stack: error.stack
+    };
+}
+
+/**
+ * Copy a value with secrets replaced by [REDACTED]
+ * @param {*} value - Value to log
+ * @returns {*} Redacted copy
+ */
+function redact(value, seen = new WeakSet()) {
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+
+    if (seen.has(value)) {
+        return '[Circular]';
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, seen));
+    }
+
+    const copy = {};
+
+    for (const [key, field] of Object.entries(value)) {
+        copy[key] = REDACTED_FIELDS.has(key.toLowerCase()) ? REDACTED : redact(field, seen);
+    }
+
+    return copy;
+}
+
+/**
+ * Create a logger whose entries all carry the given fields
+ * @param {object} [bindings] - Fields added to every entry, e.g. { requestId }
+ * @returns {object} Logger with debug, info, warn, error and child
+ */
+function createLogger(bindings = {}) {
+    const write = (level) => (message, fields = {}) => {
+        if (LEVELS[level] < LEVELS[LOG_LEVEL]) {
+            return;
+        }
+
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: message,
+            ...redact({ ...bindings, ...fields })
+        };
+
+        process.stdout.write(`${JSON.stringify(entry)}\n`);
+    };
+
+    return {
+        debug: write('debug'),
+        info: write('info'),
+        warn: write('warn'),
+        error: write('error'),
+        isLevelEnabled: (level) => LEVELS[level] >= LEVELS[LOG_LEVEL],
+        child: (extra) => createLogger({ ...bindings, ...extra })
+    };
+}
+
+// Application-wide logger; modules add their name with logger.child({ module })
+const logger = createLogger();
+
+module.exports = { logger, createLogger, redact };
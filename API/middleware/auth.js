@@ -1,29 +1,160 @@
 const { verifyToken } = require('../auth');
+const { hasPermission } = require('../permissions');
+const User = require('../models/User');
+const { isEmailVerified } = require('../services/emailVerification');
+const { authenticateApiKey } = require('../services/apiKeys');
+const { touchSession } = require('../services/sessions');
+const { UnauthorizedError, ForbiddenError } = require('../errors');
+
+// "ApiKey <key>" authenticates with an API key; anything else is treated as "Bearer <jwt>"
+function parseAuthorization(authHeader) {
+    const [scheme, credentials] = (authHeader || '').split(' ');
+    return { isApiKey: scheme === 'ApiKey', credentials };
+}
 
 /**
- * Middleware: Validate JWT token
- * Checks for valid JWT token in Authorization header
- * Adds decoded user info to req.user if valid
+ * Resolve the credentials of a request to the caller
+ * Access tokens are also rejected once the session they belong to is revoked.
+ * @returns {Promise<object|null>} Decoded JWT payload, API key context
+ * ({ userId, email, role, apiKeyId, scopes }) or null if invalid
  */
-function validateToken(req, res, next) {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+async function authenticate({ isApiKey, credentials }, req) {
+    if (isApiKey) {
+        return await authenticateApiKey(credentials);
+    }
+
+    const decoded = await verifyToken(credentials);
 
-    if (!token) {
-        return res.status(401).json({
-            error: "No token found"
-        });
+    if (decoded && decoded.fid && !(await touchSession(decoded.fid, req.ip))) {
+        return null;
     }
 
-    const decoded = verifyToken(token);
+    return decoded;
+}
+
+/**
+ * Middleware: Validate JWT token or API key
+ * Checks for a valid JWT token ("Bearer ...") or API key ("ApiKey ...") in Authorization header
+ * Adds decoded user info to req.user if valid; API key requests also get req.user.scopes
+ */
+async function validateToken(req, res, next) {
+    const authorization = parseAuthorization(req.headers['authorization']);
+
+    if (!authorization.credentials) {
+        throw new UnauthorizedError('No token found', { code: 'TOKEN_MISSING' });
+    }
+
+    const decoded = await authenticate(authorization, req);
     if (!decoded) {
-        return res.status(403).json({
-            error: 'Invalid or expired token'
-        });
+        throw new ForbiddenError('Invalid or expired token', { code: 'INVALID_TOKEN' });
     }
 
     req.user = decoded;
     next();
 }
 
-module.exports = { validateToken };
+/**
+ * Middleware: Attach user info when a valid JWT token is present
+ * Used on public routes that behave differently for logged-in users.
+ * Missing or invalid tokens are ignored and the request continues anonymously.
+ */
+async function optionalToken(req, res, next) {
+    const authorization = parseAuthorization(req.headers['authorization']);
+
+    if (authorization.credentials) {
+        const decoded = await authenticate(authorization, req);
+        if (decoded) {
+            req.user = decoded;
+        }
+    }
+
+    next();
+}
+
+/**
+ * Middleware factory: Require one of the given roles
+ * Must run after validateToken
+ * @param {...string} roles - Allowed roles
+ */
+function requireRole(...roles) {
+    return (req, res, next) => {
+        if (!req.user || !roles.includes(req.user.role)) {
+            throw new ForbiddenError('Insufficient role', { code: 'INSUFFICIENT_ROLE' });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Middleware factory: Require a permission granted by the user's role
+ * Must run after validateToken
+ * @param {string} permission - Permission name, e.g. 'items:write'
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!req.user || !hasPermission(req.user.role, permission)) {
+            throw new ForbiddenError(`Missing permission: ${permission}`, { code: 'MISSING_PERMISSION' });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Middleware factory: Require an API key scope
+ * Login sessions are not limited by scopes and always pass.
+ * Must run after validateToken
+ * @param {string} scope - Scope name, e.g. 'items:write'
+ */
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (req.user.scopes && !req.user.scopes.includes(scope)) {
+            throw new ForbiddenError(`API key is missing scope: ${scope}`, { code: 'MISSING_SCOPE' });
+        }
+
+        next();
+    };
+}
+
+/**
+ * Middleware: Reject API keys
+ * For account, key management and admin routes, which need a real login.
+ * Must run after validateToken
+ */
+function requireSession(req, res, next) {
+    if (req.user.apiKeyId) {
+        throw new ForbiddenError('API keys cannot be used for this route', { code: 'SESSION_REQUIRED' });
+    }
+
+    next();
+}
+
+/**
+ * Middleware: Require a verified email address
+ * Must run after validateToken. The user is looked up on every request so a
+ * verification takes effect without waiting for a new access token.
+ */
+async function requireVerifiedEmail(req, res, next) {
+    const user = await User.findById(req.user.userId);
+
+    if (!user) {
+        throw new ForbiddenError('Invalid or expired token', { code: 'INVALID_TOKEN' });
+    }
+
+    if (!isEmailVerified(user)) {
+        throw new ForbiddenError('Please verify your email address before changing items', { code: 'EMAIL_NOT_VERIFIED' });
+    }
+
+    next();
+}
+
+module.exports = {
+    validateToken,
+    optionalToken,
+    requireRole,
+    requirePermission,
+    requireScope,
+    requireSession,
+    requireVerifiedEmail
+};
@@ -0,0 +1,88 @@
+const { AppError, NotFoundError } = require('../errors');
+
+/**
+ * Errors from the Firestore client carry a numeric gRPC status code
+ * Only the ones a client can act on get their own status; anything else is a 500.
+ */
+const DATASTORE_ERRORS = {
+    3: { status: 400, code: 'INVALID_ARGUMENT', message: 'The request contains an invalid value' },
+    5: { status: 404, code: 'NOT_FOUND', message: 'Resource not found' },
+    6: { status: 409, code: 'CONFLICT', message: 'Resource already exists' },
+    10: { status: 409, code: 'CONFLICT', message: 'The resource was changed concurrently, please retry' },
+    4: { status: 503, code: 'DATASTORE_UNAVAILABLE', message: 'The datastore did not answer in time, please retry' },
+    8: { status: 503, code: 'DATASTORE_UNAVAILABLE', message: 'The datastore is overloaded, please retry later' },
+    14: { status: 503, code: 'DATASTORE_UNAVAILABLE', message: 'The datastore is unavailable, please retry later' }
+};
+
+// Errors raised by express.json() while reading the body
+const BODY_ERRORS = {
+    'entity.parse.failed': { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' },
+    'entity.too.large': { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' },
+    'encoding.unsupported': { status: 415, code: 'UNSUPPORTED_ENCODING', message: 'Request body encoding is not supported' },
+    'charset.unsupported': { status: 415, code: 'UNSUPPORTED_CHARSET', message: 'Request body charset is not supported' }
+};
+
+/**
+ * Describe any thrown error as { status, code, message, details, headers }
+ * Unknown errors become a generic 500 so internals never reach the client.
+ */
+function describeError(error) {
+    if (error instanceof AppError) {
+        return error;
+    }
+
+    if (BODY_ERRORS[error.type]) {
+        return BODY_ERRORS[error.type];
+    }
+
+    if (typeof error.code === 'number' && DATASTORE_ERRORS[error.code]) {
+        return DATASTORE_ERRORS[error.code];
+    }
+
+    // Other client errors raised by Express itself (http-errors with expose set)
+    if (error.expose && error.status >= 400 && error.status < 500) {
+        return { status: error.status, code: 'BAD_REQUEST', message: error.message };
+    }
+
+    return { status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error' };
+}
+
+/**
+ * Middleware: Answer requests that matched no route
+ * Mounted after all routes.
+ */
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError(`Route ${req.method} ${req.path} not found`, { code: 'ROUTE_NOT_FOUND' }));
+}
+
+/**
+ * Middleware: Send every error as the JSON error envelope
+ * Mounted last in app.js; Express 5 forwards errors thrown by async handlers here.
+ * Express recognizes error middleware by its four parameters, so next must stay.
+ */
+function errorHandler(error, req, res, next) {
+    const { status, code, message, details = null, headers = {} } = describeError(error);
+
+    // The request log line carries the code; 5xx also get the stack under the same request id
+    res.locals.errorCode = code;
+
+    if (status >= 500) {
+        req.log.error(`${req.method} ${req.originalUrl.split('?')[0]} failed`, { err: error });
+    }
+
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    res.set(headers);
+    res.status(status).json({
+        error: {
+            code,
+            message,
+            details,
+            requestId: req.id
+        }
+    });
+}
+
+module.exports = { notFoundHandler, errorHandler };
@@ -0,0 +1,51 @@
+const { consume } = require('../services/rateLimiter');
+const { TooManyRequestsError } = require('../errors');
+const config = require('../config');
+
+/**
+ * Middleware factory: Limit requests per client within a sliding window
+ * Sets RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset on every
+ * response and answers 429 with Retry-After once the limit is exceeded.
+ * @param {object} options
+ * @param {string} options.name - Name of the limit, keeps counters of different limits apart
+ * @param {number} options.windowSeconds - Length of the sliding window
+ * @param {number} options.max - Requests allowed per window
+ * @param {function} [options.keyBy] - Picks the client key from the request; defaults to the IP address
+ */
+function rateLimit({ name, windowSeconds, max, keyBy = (req) => `ip:${req.ip}` }) {
+    const limit = { windowMs: windowSeconds * 1000, max };
+
+    return async (req, res, next) => {
+        const result = await consume(`${name}:${keyBy(req)}`, limit);
+
+        res.set({
+            'RateLimit-Policy': `${max};w=${windowSeconds}`,
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(result.resetSeconds)
+        });
+
+        if (!result.allowed) {
+            throw new TooManyRequestsError('Too many requests, please try again later', result.resetSeconds);
+        }
+
+        next();
+    };
+}
+
+// Limit for the routes that take credentials (see CREDENTIAL_ROUTES in app.js), counted per IP address
+const authRateLimit = rateLimit({
+    name: 'credentials',
+    windowSeconds: config.AUTH_RATE_LIMIT_WINDOW_SECONDS,
+    max: config.AUTH_RATE_LIMIT_MAX
+});
+
+// Limit for requests that change items, counted per user (after validateToken)
+const writeRateLimit = rateLimit({
+    name: 'items-write',
+    windowSeconds: config.WRITE_RATE_LIMIT_WINDOW_SECONDS,
+    max: config.WRITE_RATE_LIMIT_MAX,
+    keyBy: (req) => (req.user ? `user:${req.user.userId}` : `ip:${req.ip}`)
+});
+
+module.exports = { rateLimit, authRateLimit, writeRateLimit };
@@ -0,0 +1,20 @@
+const crypto = require('crypto');
+
+// Accept ids from a proxy or client only if they look like ids, not arbitrary text
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Middleware: Give every request an id
+ * Reuses a well-formed X-Request-Id from the caller, otherwise generates one.
+ * The id is available as req.id and echoed in the X-Request-Id response header
+ * so a failure reported by a client can be matched with the server logs.
+ */
+function requestId(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+}
+
+module.exports = { requestId };
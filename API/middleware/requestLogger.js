@@ -0,0 +1,54 @@
+const { logger } = require('../logger');
+
+// 5xx answers are errors, other 4xx answers warnings
+function levelFor(status) {
+    if (status >= 500) return 'error';
+    if (status >= 400) return 'warn';
+    return 'info';
+}
+
+/**
+ * Middleware: Log every request once it has been answered
+ * Sets req.log, a logger whose entries carry the request id, for use by the
+ * handlers. The summary line has the status, latency in milliseconds and the
+ * authenticated user or API key; at debug level it also has the (redacted)
+ * headers, query and body. Must run after requestId.
+ */
+function requestLogger(req, res, next) {
+    const start = process.hrtime.bigint();
+
+    req.log = logger.child({ requestId: req.id });
+
+    const summary = (status) => {
+        const fields = {
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status,
+            durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e3) / 1e3,
+            userId: req.user ? req.user.userId : null,
+            apiKeyId: (req.user && req.user.apiKeyId) || null,
+            ip: req.ip,
+            ...(res.locals.errorCode && { errorCode: res.locals.errorCode })
+        };
+
+        if (req.log.isLevelEnabled('debug')) {
+            Object.assign(fields, { headers: req.headers, query: req.query, body: req.body });
+        }
+
+        return fields;
+    };
+
+    res.on('finish', () => {
+        req.log[levelFor(res.statusCode)]('Request completed', summary(res.statusCode));
+    });
+    // The client went away before the answer was sent
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            req.log.warn('Request aborted', summary(null));
+        }
+    });
+
+    next();
+}
+
+module.exports = { requestLogger };
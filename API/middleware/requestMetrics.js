@@ -0,0 +1,56 @@
+const { counter, histogram } = require('../services/metrics');
+
+const requestsTotal = counter(
+    'http_requests_total',
+    'HTTP requests answered, by method, route and status',
+    ['method', 'route', 'status']
+);
+
+const requestDuration = histogram(
+    'http_request_duration_seconds',
+    'Time taken to answer HTTP requests, by method, route and status',
+    ['method', 'route', 'status']
+);
+
+const authFailures = counter(
+    'auth_failures_total',
+    'Requests refused for missing or wrong credentials or permissions, by error code',
+    ['code']
+);
+
+/**
+ * The route as documented (/items/{id}) rather than the raw path, so that ids
+ * do not create a series each. Routes mounted before the request validator use
+ * their Express path; requests matching no route share one label.
+ */
+function routeLabel(req) {
+    return req.routeTemplate || (req.route && req.route.path) || 'unmatched';
+}
+
+// 401 and 403 answers, plus logins refused because of a lockout
+function isAuthFailure(status, code) {
+    return status === 401 || status === 403 || code === 'LOGIN_LOCKED';
+}
+
+/**
+ * Middleware: Count every answered request and record its latency
+ * Auth failures are read from the error code set by the error handler.
+ */
+function requestMetrics(req, res, next) {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const labels = { method: req.method, route: routeLabel(req), status: res.statusCode };
+
+        requestsTotal.inc(labels);
+        requestDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+
+        if (isAuthFailure(res.statusCode, res.locals.errorCode)) {
+            authFailures.inc({ code: res.locals.errorCode || 'UNKNOWN' });
+        }
+    });
+
+    next();
+}
+
+module.exports = { requestMetrics };
@@ -0,0 +1,225 @@
+const { validateSchema, coerceParameter, resolveRef } = require('../utils/jsonSchema');
+const { AppError, NotFoundError, ValidationError } = require('../errors');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+
+// "/items/{id}/history" -> /^\/items\/([^/]+)\/history\/?$/i with keys ['id']
+function compilePath(template) {
+    const keys = [];
+    const source = template
+        .split('/')
+        .map((segment) => segment.replace(/\{(\w+)\}|[.*+?^$()|[\]\\]/g, (match, key) => {
+            if (key) {
+                keys.push(key);
+                return '([^/]+)';
+            }
+            return `\\${match}`;
+        }))
+        .join('/');
+
+    // Express matches paths case-insensitively and ignores a trailing slash
+    return { regexp: new RegExp(`^${source}/?$`, 'i'), keys };
+}
+
+const deref = (document, node) => (node && node.$ref ? resolveRef(document, node.$ref) : node);
+
+/**
+ * Collect what is needed to validate one operation
+ * Path-level parameters apply to every operation unless the operation redefines them.
+ */
+function compileOperation(document, pathItem, operation) {
+    const parameters = new Map();
+
+    for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+        const resolved = deref(document, parameter);
+        parameters.set(`${resolved.in}:${resolved.name}`, resolved);
+    }
+
+    return {
+        parameters: [...parameters.values()],
+        requestBody: deref(document, operation.requestBody) || null,
+        security: operation.security || document.security || []
+    };
+}
+
+// Anyone may call operations without security requirements or with an empty ({}) one
+const isPublic = (operation) => operation.security.length === 0
+    || operation.security.some((requirement) => Object.keys(requirement).length === 0);
+
+/**
+ * Build the lookup table of documented routes, most specific first, so that
+ * /items/search is matched before /items/{id}
+ */
+function compileRoutes(document) {
+    return Object.entries(document.paths)
+        .map(([template, pathItem]) => {
+            const operations = {};
+
+            for (const method of METHODS) {
+                if (pathItem[method]) {
+                    operations[method] = compileOperation(document, pathItem, pathItem[method]);
+                }
+            }
+
+            return { template, ...compilePath(template), operations };
+        })
+        .sort((a, b) => a.keys.length - b.keys.length);
+}
+
+function findRoute(routes, path) {
+    for (const route of routes) {
+        const match = route.regexp.exec(path);
+
+        if (match) {
+            const params = {};
+            route.keys.forEach((key, index) => {
+                // Malformed escapes are left as they are; Express rejects them with a 400
+                try {
+                    params[key] = decodeURIComponent(match[index + 1]);
+                } catch(error) {
+                    params[key] = match[index + 1];
+                }
+            });
+            return { route, params };
+        }
+    }
+
+    return null;
+}
+
+// The raw value of a parameter in the request
+function parameterValue(req, params, parameter) {
+    switch (parameter.in) {
+        case 'path': return params[parameter.name];
+        case 'query': return req.query[parameter.name];
+        case 'header': return req.get(parameter.name);
+        default: return undefined;
+    }
+}
+
+// Whether the request came with a body, whatever its content type
+const hasBody = (req) => req.headers['transfer-encoding'] !== undefined
+    || Number(req.headers['content-length']) > 0;
+
+/**
+ * Check the request against its operation
+ * @returns {Array<object>} express-validator style errors { path, location, msg }
+ */
+function checkRequest(document, req, params, operation) {
+    const errors = [];
+
+    for (const parameter of operation.parameters) {
+        const raw = parameterValue(req, params, parameter);
+
+        if (raw === undefined) {
+            if (parameter.required) {
+                errors.push({ path: parameter.name, location: parameter.in, msg: `${parameter.name} is required` });
+            }
+            continue;
+        }
+
+        const value = coerceParameter(parameter.schema, raw, document);
+
+        for (const error of validateSchema(parameter.schema, value, { document, path: parameter.name })) {
+            errors.push({ path: error.path, location: parameter.in, msg: error.message });
+        }
+    }
+
+    const { requestBody } = operation;
+
+    if (requestBody) {
+        if (req.body === undefined) {
+            if (requestBody.required) {
+                errors.push({ path: '', location: 'body', msg: 'Request body is required' });
+            }
+        } else {
+            const mediaType = req.is(Object.keys(requestBody.content));
+            const { schema } = requestBody.content[mediaType] || Object.values(requestBody.content)[0];
+
+            for (const error of validateSchema(schema, req.body, { document, label: 'Body' })) {
+                errors.push({ path: error.path, location: 'body', msg: error.message });
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Middleware: Check the request's parameters and body against its operation
+ * Rejects bodies of an undocumented content type with 415 and invalid values
+ * with 400 VALIDATION_ERROR. Operations that need credentials are only checked
+ * here, so routes mount this after their authentication and permission checks:
+ * callers who may not use an operation get 401 or 403, never its schema errors.
+ * Runs once per request; requestValidator must have matched the route.
+ */
+function validateRequest(req, res, next) {
+    const { openapi } = req;
+
+    if (!openapi || openapi.validated) {
+        return next();
+    }
+    openapi.validated = true;
+
+    const { document, operation, params } = openapi;
+    const contentTypes = operation.requestBody && Object.keys(operation.requestBody.content);
+
+    if (contentTypes && req.body === undefined && hasBody(req)) {
+        throw new AppError(415, 'UNSUPPORTED_MEDIA_TYPE', `Content-Type must be one of: ${contentTypes.join(', ')}`);
+    }
+
+    const errors = checkRequest(document, req, params, operation);
+
+    if (errors.length > 0) {
+        throw new ValidationError(errors);
+    }
+
+    next();
+}
+
+/**
+ * Middleware factory: Match every request with the OpenAPI document
+ * Paths that are not documented answer 404 and undocumented methods 405, so a
+ * route cannot be added without describing it. Public operations are then
+ * validated at once (see validateRequest); the others by the validateRequest
+ * their route mounts after authentication. The route's express-validator chains
+ * only sanitize and apply the rules a schema cannot express.
+ * Must run after express.json().
+ * @param {object} document - OpenAPI document (see openapi/index.js)
+ */
+function requestValidator(document) {
+    const routes = compileRoutes(document);
+
+    return (req, res, next) => {
+        const found = findRoute(routes, req.path);
+
+        if (!found) {
+            throw new NotFoundError(`Route ${req.method} ${req.path} not found`, { code: 'ROUTE_NOT_FOUND' });
+        }
+
+        const { route, params } = found;
+        // Documented path, e.g. /items/{id}, for logs and metrics
+        req.routeTemplate = route.template;
+        const method = req.method.toLowerCase();
+        // Express answers HEAD with the GET route
+        const operation = route.operations[method] || (method === 'head' && route.operations.get);
+
+        if (!operation) {
+            const allowed = Object.keys(route.operations).map((name) => name.toUpperCase());
+
+            throw new AppError(405, 'METHOD_NOT_ALLOWED', `Method ${req.method} is not allowed on ${route.template}`, {
+                headers: { Allow: allowed.join(', ') }
+            });
+        }
+
+        req.openapi = { document, operation, params, validated: false };
+
+        if (isPublic(operation)) {
+            return validateRequest(req, res, next);
+        }
+
+        next();
+    };
+}
+
+module.exports = { requestValidator, validateRequest };
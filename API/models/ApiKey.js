@@ -0,0 +1,34 @@
+const db = require('../db');
+const { hashToken } = require('../auth');
+
+const apiKeysCollection = db.collection('apiKeys');
+
+// API keys are stored hashed; the plain key is only shown when it is created
+const findByKey = async (key) => {
+    const matches = await apiKeysCollection.findWhere('keyHash', hashToken(key));
+    return matches[0] || null;
+};
+
+const findById = async (id) => {
+    return await apiKeysCollection.findById(id);
+};
+
+const findByUser = async (userId) => {
+    return await apiKeysCollection.findWhere('userId', userId);
+};
+
+const create = async (keyData) => {
+    return await apiKeysCollection.create(keyData);
+};
+
+const update = async (id, updateData) => {
+    await apiKeysCollection.update(id, updateData);
+};
+
+module.exports = {
+    findByKey,
+    findById,
+    findByUser,
+    create,
+    update
+};
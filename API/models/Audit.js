@@ -0,0 +1,56 @@
+const db = require('../db');
+const { queryPage } = require('../utils/pagination');
+
+const auditCollection = db.collection('audit');
+
+// Inside db.runTransaction, writes go through the transaction instead
+const entries = (tx) => (tx ? tx.collection('audit') : auditCollection);
+
+// Translate audit filters into store filters
+const buildFilters = ({ itemId, targetUserId, actorId, action, from, to }) => {
+    const where = [];
+
+    if (itemId !== undefined) where.push(['itemId', '==', itemId]);
+    if (targetUserId !== undefined) where.push(['targetUserId', '==', targetUserId]);
+    if (actorId !== undefined) where.push(['actorId', '==', actorId]);
+    if (action !== undefined) where.push(['action', '==', action]);
+    if (from !== undefined) where.push(['timestamp', '>=', from]);
+    if (to !== undefined) where.push(['timestamp', '<=', to]);
+
+    return where;
+};
+
+/**
+ * Write an audit entry
+ * Pass the transaction of the change being audited so both are stored together.
+ * @param {object} entry - { itemId, action, actorId, actorEmail, changes }, or for
+ * admin actions on accounts { targetUserId, action, actorId, actorEmail, changes }
+ * @param {object} [tx] - Store transaction
+ * @returns {Promise<string>} Audit entry id
+ */
+const record = async (entry, tx) => {
+    return await entries(tx).create({
+        ...entry,
+        timestamp: new Date().toISOString()
+    });
+};
+
+/**
+ * Fetch one page of audit entries, newest first
+ * @param {object} options - Filters plus limit and a decoded after cursor
+ * @returns {Promise<object>} { items, nextCursor, total }
+ */
+const findPage = async ({ limit, after, ...filters }) => {
+    return await queryPage(auditCollection, {
+        where: buildFilters(filters),
+        sort: 'timestamp',
+        order: 'desc',
+        limit,
+        after
+    });
+};
+
+module.exports = {
+    record,
+    findPage
+};
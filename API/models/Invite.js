@@ -0,0 +1,37 @@
+const db = require('../db');
+const { hashToken } = require('../auth');
+
+const invitesCollection = db.collection('invites');
+
+// Inside db.runTransaction, reads and writes go through the transaction instead
+const invites = (tx) => (tx ? tx.collection('invites') : invitesCollection);
+
+// Invite codes are stored hashed; the plain code is only shown when it is created
+const findByCode = async (code, tx) => {
+    const matches = await invites(tx).findWhere('codeHash', hashToken(code));
+    return matches[0] || null;
+};
+
+const findById = async (id) => {
+    return await invitesCollection.findById(id);
+};
+
+const findAll = async () => {
+    return await invitesCollection.findAll();
+};
+
+const create = async (inviteData) => {
+    return await invitesCollection.create(inviteData);
+};
+
+const update = async (id, updateData, tx) => {
+    await invites(tx).update(id, updateData);
+};
+
+module.exports = {
+    findByCode,
+    findById,
+    findAll,
+    create,
+    update
+};
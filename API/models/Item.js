@@ -1,59 +1,106 @@
 const db = require('../db');
+const { queryPage } = require('../utils/pagination');
 
 const itemsCollection = db.collection('items');
 
+// Inside db.runTransaction, reads and writes go through the transaction instead
+const items = (tx) => (tx ? tx.collection('items') : itemsCollection);
+
 const findAll = async () => {
-    const snapshot = await itemsCollection.get();
-    const items = [];
-
-    snapshot.forEach(doc => {
-        items.push({
-            id: doc.id,
-            ...doc.data()
-        });
-    });
+    return await itemsCollection.findAll();
+};
+
+// Translate list filters from the query string into store filters
+// Trashed items (deletedAt set) are only returned when deleted is true
+const buildFilters = ({ minPrice, maxPrice, category, inStock, createdBy, deleted = false }) => {
+    const where = [deleted ? ['deletedAt', '!=', null] : ['deletedAt', '==', null]];
 
-    return items;
+    if (minPrice !== undefined) where.push(['price', '>=', minPrice]);
+    if (maxPrice !== undefined) where.push(['price', '<=', maxPrice]);
+    if (category !== undefined) where.push(['category', '==', category]);
+    if (inStock !== undefined) where.push(['inStock', '==', inStock]);
+    if (createdBy !== undefined) where.push(['createdBy', '==', createdBy]);
+
+    return where;
 };
 
-const findById = async (id) => {
-    const doc = await itemsCollection.doc(id).get();
+/**
+ * Fetch one page of items
+ * @param {object} options - Filters plus sort, order, limit and a decoded after cursor
+ * @returns {Promise<object>} { items, nextCursor, total }
+ */
+const findPage = async ({ limit, after, sort, order, ...filters }) => {
+    return await queryPage(itemsCollection, {
+        where: buildFilters(filters),
+        sort,
+        order,
+        limit,
+        after
+    });
+};
 
-    if (!doc.exists) {
-        return null;
-    }
+/**
+ * Count active or trashed items
+ * @param {object} [options] - { deleted } selects trashed items
+ * @returns {Promise<number>} Number of items
+ */
+const count = async ({ deleted = false } = {}) => {
+    return await itemsCollection.count(buildFilters({ deleted }));
+};
 
-    return {
-        id: doc.id,
-        ...doc.data()
-    };
+const findById = async (id, tx) => {
+    return await items(tx).findById(id);
 };
 
-const create = async (itemData) => {
-    const docRef = await itemsCollection.add(itemData);
-    return docRef.id;
+const create = async (itemData, tx) => {
+    return await items(tx).create(itemData);
 };
 
 const update = async (id, updateData) => {
-    const docRef = itemsCollection.doc(id);
-    await docRef.update(updateData);
+    return await itemsCollection.update(id, updateData);
+};
+
+const replace = async (id, itemData, tx) => {
+    await items(tx).set(id, itemData);
+    return { id, ...itemData };
+};
+
+/**
+ * Find trashed items deleted before a given time
+ * @param {string} cutoff - ISO timestamp
+ * @returns {Promise<Array>} Items whose deletedAt is older than cutoff
+ */
+const findTrashedBefore = async (cutoff) => {
+    return await itemsCollection.query({ where: [['deletedAt', '<', cutoff]] });
+};
+
+/**
+ * Find every item a user owns, including trashed ones
+ * @param {string} userId - Owner id
+ * @returns {Promise<Array>} Items whose createdBy is userId
+ */
+const findByOwner = async (userId) => {
+    return await itemsCollection.findWhere('createdBy', userId);
+};
 
-    const updatedDoc = await docRef.get();
-    return {
-        id: updatedDoc.id,
-        ...updatedDoc.data()
-    };
+const remove = async (id, tx) => {
+    await items(tx).remove(id);
 };
 
-const remove = async (id) => {
-    const docRef = itemsCollection.doc(id);
-    await docRef.delete();
+const runTransaction = (fn) => {
+    return db.runTransaction(fn);
 };
 
 module.exports = {
     findAll,
+    findPage,
+    count,
     findById,
+    findTrashedBefore,
+    findByOwner,
     create,
     update,
-    remove
+    replace,
+    remove,
+    runTransaction
 };
@@ -0,0 +1,34 @@
+const db = require('../db');
+const { hashToken } = require('../auth');
+
+const resetsCollection = db.collection('passwordResets');
+
+// Inside db.runTransaction, reads and writes go through the transaction instead
+const resets = (tx) => (tx ? tx.collection('passwordResets') : resetsCollection);
+
+// Reset tokens are stored hashed; the plain token only travels in the email
+const findByToken = async (token, tx) => {
+    const matches = await resets(tx).findWhere('tokenHash', hashToken(token));
+    return matches[0] || null;
+};
+
+// Tokens of a user that have not been used (or retired) yet, expired or not
+const findUnusedByUser = async (userId, tx) => {
+    const matches = await resets(tx).findWhere('userId', userId);
+    return matches.filter((reset) => !reset.usedAt);
+};
+
+const create = async (resetData, tx) => {
+    return await resets(tx).create(resetData);
+};
+
+const update = async (id, updateData, tx) => {
+    await resets(tx).update(id, updateData);
+};
+
+module.exports = {
+    findByToken,
+    findUnusedByUser,
+    create,
+    update
+};
@@ -0,0 +1,61 @@
+const db = require('../db');
+
+const familiesCollection = db.collection('refreshFamilies');
+const tokensCollection = db.collection('refreshTokens');
+
+// Inside db.runTransaction, reads and writes go through the transaction instead
+const families = (tx) => (tx ? tx.collection('refreshFamilies') : familiesCollection);
+const tokens = (tx) => (tx ? tx.collection('refreshTokens') : tokensCollection);
+
+/**
+ * A family is the chain of refresh tokens started by one login.
+ * Every refresh replaces the current token with a new one in the same family;
+ * revoking the family ends that login everywhere.
+ */
+const createFamily = async (familyData, tx) => {
+    return await families(tx).create(familyData);
+};
+
+const findFamilyById = async (id, tx) => {
+    return await families(tx).findById(id);
+};
+
+const updateFamily = async (id, updateData, tx) => {
+    await families(tx).update(id, updateData);
+};
+
+const findFamiliesByUser = async (userId, tx) => {
+    return await families(tx).findWhere('userId', userId);
+};
+
+const createToken = async (tokenData, tx) => {
+    return await tokens(tx).create(tokenData);
+};
+
+const findTokenById = async (id, tx) => {
+    return await tokens(tx).findById(id);
+};
+
+const updateToken = async (id, updateData, tx) => {
+    await tokens(tx).update(id, updateData);
+};
+
+const findTokensByFamily = async (familyId, tx) => {
+    return await tokens(tx).findWhere('familyId', familyId);
+};
+
+const runTransaction = (fn) => {
+    return db.runTransaction(fn);
+};
+
+module.exports = {
+    runTransaction,
+    createFamily,
+    findFamilyById,
+    updateFamily,
+    findFamiliesByUser,
+    createToken,
+    findTokenById,
+    updateToken,
+    findTokensByFamily
+};
@@ -0,0 +1,27 @@
+const db = require('../db');
+
+// Denylist of access token ids (jti) that must be rejected before they expire.
+// Entries are only useful until expiresAt; on Firestore a TTL policy on that
+// field can clean them up.
+const revokedCollection = db.collection('revokedTokens');
+
+const revoked = (tx) => (tx ? tx.collection('revokedTokens') : revokedCollection);
+
+/**
+ * Add an access token id to the denylist
+ * @param {string} jti - Access token id
+ * @param {string} expiresAt - ISO timestamp when the token expires anyway
+ * @param {object} [tx] - Store transaction
+ */
+const revoke = async (jti, expiresAt, tx) => {
+    await revoked(tx).set(jti, { expiresAt });
+};
+
+const isRevoked = async (jti) => {
+    return (await revokedCollection.findById(jti)) !== null;
+};
+
+module.exports = {
+    revoke,
+    isRevoked
+};
@@ -1,48 +1,85 @@
 const { comparePassword } = require('../auth');
 const db  = require('../db')
+const { queryPage } = require('../utils/pagination')
 
 const usersCollection = db.collection('users')
 
+// Inside db.runTransaction, reads and writes go through the transaction instead
+const users = (tx) => (tx ? tx.collection('users') : usersCollection)
+
+const findById = async (id, tx) => {
+    return await users(tx).findById(id)
+}
+
 const findByEmail = async (email) => {
 
         // Find user by email
-        const snapshot = await usersCollection
-            .where('email', '==', email)
-            .get();
+        const users = await usersCollection.findWhere('email', email)
 
-        if (snapshot.empty) {
+        if (users.length === 0) {
             return null
         }
 
-        const userDoc = snapshot.docs[0];
-        const user = {
-            id: userDoc.id,
-            ...userDoc.data()
-        };
+        return users[0]
+}
+
+/**
+ * Fetch one page of users, ordered by email
+ * @param {object} options - limit, decoded after cursor and filters:
+ * q (email prefix), role and disabled (true lists only disabled accounts)
+ * @returns {Promise<object>} { items, nextCursor, total }
+ */
+const findPage = async ({ limit, after, q, role, disabled }) => {
+    const where = []
+
+    // Prefix match as a range, which Firestore can serve together with the email ordering
+    if (q !== undefined) where.push(['email', '>=', q], ['email', '<', `${q}\uf8ff`])
+    if (role !== undefined) where.push(['role', '==', role])
+    if (disabled) where.push(['disabled', '==', true])
 
-        return user
+    return await queryPage(usersCollection, {
+        where,
+        sort: 'email',
+        order: 'asc',
+        limit,
+        after
+    })
 }
 
 const verifyPassword = async (plainPassword, hashedPassword) => {
     return await comparePassword(plainPassword, hashedPassword)
 }
 
-const checkEmailExists = async (email) => {
-    const snapshot = await usersCollection
-        .where('email', '==', email)
-        .get();
+const checkEmailExists = async (email, tx) => {
+    const matches = await users(tx).findWhere('email', email);
+
+    return matches.length > 0;
+}
+
+const create = async (userData, tx) => {
+    return await users(tx).create(userData);
+}
+
+const update = async (id, updateData, tx) => {
+    return await users(tx).update(id, updateData);
+}
 
-    return !snapshot.empty;
+const remove = async (id, tx) => {
+    await users(tx).remove(id);
 }
 
-const create = async (userData) => {
-    const docRef = await usersCollection.add(userData);
-    return docRef.id;
+const runTransaction = (fn) => {
+    return db.runTransaction(fn)
 }
 
 module.exports = {
+    runTransaction,
+    findById,
     findByEmail,
+    findPage,
     verifyPassword,
     checkEmailExists,
-    create
+    create,
+    update,
+    remove
 }
\ No newline at end of file
@@ -0,0 +1,392 @@
+const { ROLES, API_KEY_SCOPES } = require('../permissions');
+const { MAX_PAGE_SIZE } = require('../validators/paginationValidator');
+
+// Refuses strings made only of whitespace; the validators trim what is accepted
+const notBlank = { pattern: '\\S', 'x-pattern-message': 'cannot be blank' };
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+
+const timestamp = { type: 'string', format: 'date-time' };
+
+const schemas = {
+    Error: {
+        type: 'object',
+        description: 'Every error response has this shape',
+        properties: {
+            error: {
+                type: 'object',
+                properties: {
+                    code: { type: 'string', description: 'Stable machine-readable code', example: 'NOT_FOUND' },
+                    message: { type: 'string', description: 'Human-readable message', example: 'Item not found' },
+                    details: {
+                        description: 'For VALIDATION_ERROR a list of { field, location, message }; '
+                            + 'for ITEM_VERSION_MISMATCH { item } with the current item; otherwise null'
+                    },
+                    requestId: { type: 'string', description: 'Same as the X-Request-Id response header' }
+                },
+                required: ['code', 'message', 'details', 'requestId']
+            }
+        },
+        required: ['error']
+    },
+
+    Message: {
+        type: 'object',
+        properties: { message: { type: 'string' } },
+        required: ['message']
+    },
+
+    Item: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            price: { type: 'number' },
+            quantity: { type: 'integer' },
+            inStock: { type: 'boolean', description: 'Derived from quantity' },
+            description: { type: 'string' },
+            category: { type: 'string' },
+            createdBy: nullable({ type: 'string', description: 'Owner; missing on items created before ownership was recorded' }),
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            version: { type: 'integer', description: 'Increases on every change; the ETag is this number in quotes' },
+            deletedAt: nullable({ ...timestamp, description: 'Set while the item is in the trash' }),
+            deletedBy: nullable({ type: 'string' })
+        },
+        required: ['id', 'name', 'price', 'quantity', 'inStock']
+    },
+
+    ItemInput: {
+        type: 'object',
+        description: 'Full item content; on PUT, optional fields that are left out are removed',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100, ...notBlank },
+            price: { type: 'number', minimum: 0 },
+            quantity: { type: 'integer', minimum: 0, default: 0 },
+            description: { type: 'string', maxLength: 1000 },
+            category: { type: 'string', minLength: 1, maxLength: 50, ...notBlank }
+        },
+        required: ['name', 'price'],
+        additionalProperties: false
+    },
+
+    ItemPatch: {
+        type: 'object',
+        description: 'JSON Merge Patch (RFC 7396): absent fields are kept and null removes an optional field',
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100, ...notBlank },
+            price: { type: 'number', minimum: 0 },
+            quantity: { type: ['integer', 'null'], minimum: 0, description: 'null resets it to 0' },
+            description: { type: ['string', 'null'], maxLength: 1000 },
+            category: { type: ['string', 'null'], minLength: 1, maxLength: 50, ...notBlank }
+        },
+        additionalProperties: false
+    },
+
+    ItemPage: {
+        type: 'object',
+        properties: {
+            items: { type: 'array', items: ref('Item') },
+            nextCursor: { type: ['string', 'null'], description: 'Pass as after to get the next page; null on the last page' },
+            total: { type: 'integer', description: 'Number of items matching the filters' }
+        },
+        required: ['items', 'nextCursor', 'total']
+    },
+
+    ItemSearchResults: {
+        type: 'object',
+        properties: {
+            items: {
+                type: 'array',
+                items: {
+                    allOf: [ref('Item')],
+                    properties: { score: { type: 'number', description: 'Relevance, highest first' } }
+                }
+            },
+            total: { type: 'integer', description: 'Number of matches, including those beyond limit' }
+        },
+        required: ['items', 'total']
+    },
+
+    AuditEntry: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            itemId: { type: ['string', 'null'], description: 'Changed item; null for admin actions on accounts' },
+            targetUserId: { type: ['string', 'null'], description: 'Account an admin action applied to' },
+            action: { type: 'string' },
+            actorId: { type: 'string' },
+            actorEmail: { type: 'string' },
+            changes: {
+                type: ['object', 'null'],
+                description: 'Changed fields, each as { before, after }',
+                additionalProperties: {
+                    type: 'object',
+                    properties: { before: {}, after: {} }
+                }
+            },
+            timestamp
+        },
+        required: ['id', 'action', 'actorId', 'timestamp']
+    },
+
+    AuditPage: {
+        type: 'object',
+        properties: {
+            items: { type: 'array', items: ref('AuditEntry') },
+            nextCursor: { type: ['string', 'null'] },
+            total: { type: 'integer' }
+        },
+        required: ['items', 'nextCursor', 'total']
+    },
+
+    User: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            displayName: { type: ['string', 'null'] },
+            role: { type: 'string', enum: ROLES },
+            emailVerified: { type: 'boolean' },
+            twoFactorEnabled: { type: 'boolean' },
+            createdAt: nullable(timestamp)
+        },
+        required: ['id', 'email', 'role', 'emailVerified', 'twoFactorEnabled']
+    },
+
+    AdminUser: {
+        allOf: [ref('User')],
+        type: 'object',
+        properties: {
+            disabled: { type: 'boolean' },
+            disabledAt: nullable(timestamp),
+            disabledReason: { type: ['string', 'null'] },
+            passwordResetRequired: { type: 'boolean' }
+        }
+    },
+
+    AdminUserPage: {
+        type: 'object',
+        properties: {
+            items: { type: 'array', items: ref('AdminUser') },
+            nextCursor: { type: ['string', 'null'] },
+            total: { type: 'integer' }
+        },
+        required: ['items', 'nextCursor', 'total']
+    },
+
+    LoginSession: {
+        type: 'object',
+        description: 'Tokens of a new login session',
+        properties: {
+            message: { type: 'string' },
+            token: { type: 'string', description: 'Short-lived access token (JWT)' },
+            refreshToken: { type: 'string', description: 'Single-use token for POST /users/refresh' },
+            user: ref('User'),
+            recoveryCodesLeft: { type: 'integer', description: 'Only after logging in with a recovery code' }
+        },
+        required: ['message', 'token', 'refreshToken', 'user']
+    },
+
+    TwoFactorChallenge: {
+        type: 'object',
+        description: 'The password was right; finish the login with POST /users/login/2fa',
+        properties: {
+            message: { type: 'string' },
+            twoFactorRequired: { type: 'boolean', enum: [true] },
+            challengeToken: { type: 'string' }
+        },
+        required: ['message', 'twoFactorRequired', 'challengeToken']
+    },
+
+    ApiKey: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            userId: { type: 'string' },
+            name: { type: 'string' },
+            scopes: { type: 'array', items: { type: 'string', enum: API_KEY_SCOPES } },
+            keyPrefix: { type: 'string', description: 'Start of the key, to tell keys apart' },
+            createdAt: timestamp,
+            expiresAt: nullable(timestamp),
+            lastUsedAt: nullable(timestamp),
+            revokedAt: nullable(timestamp),
+            status: { type: 'string', enum: ['active', 'revoked', 'expired'] }
+        },
+        required: ['id', 'name', 'scopes', 'keyPrefix', 'createdAt', 'status']
+    },
+
+    Invite: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            email: { type: ['string', 'null'], description: 'Only this address may use the invite; null for anyone' },
+            role: { type: ['string', 'null'], enum: [...ROLES, null] },
+            createdBy: { type: 'string' },
+            createdAt: timestamp,
+            expiresAt: timestamp,
+            usedAt: nullable(timestamp),
+            usedBy: { type: ['string', 'null'] },
+            revokedAt: nullable(timestamp),
+            status: { type: 'string', enum: ['active', 'used', 'revoked', 'expired'] }
+        },
+        required: ['id', 'createdAt', 'expiresAt', 'status']
+    },
+
+    Session: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            userAgent: { type: ['string', 'null'] },
+            ip: { type: ['string', 'null'] },
+            createdAt: timestamp,
+            lastSeenAt: nullable(timestamp),
+            expiresAt: nullable(timestamp),
+            current: { type: 'boolean', description: 'The session making this request' }
+        },
+        required: ['id', 'createdAt', 'current']
+    }
+};
+
+const parameters = {
+    limit: {
+        name: 'limit',
+        in: 'query',
+        description: 'Page size',
+        schema: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 20 }
+    },
+    after: {
+        name: 'after',
+        in: 'query',
+        description: 'nextCursor of the previous page; only valid with the same sort and order',
+        schema: { type: 'string', minLength: 1 }
+    },
+    id: {
+        name: 'id',
+        in: 'path',
+        required: true,
+        schema: { type: 'string', minLength: 1 }
+    },
+    ifMatch: {
+        name: 'If-Match',
+        in: 'header',
+        description: 'ETag from the last read; the change is refused with 412 if the item changed since',
+        schema: { type: 'string', example: '"3"' }
+    }
+};
+
+const retryAfter = {
+    description: 'Seconds to wait before retrying',
+    schema: { type: 'integer' }
+};
+
+const etag = {
+    description: 'Version of the item, for If-Match and If-None-Match',
+    schema: { type: 'string', example: '"3"' }
+};
+
+const errorResponse = (description, headers) => ({
+    description,
+    ...(headers && { headers }),
+    content: { 'application/json': { schema: ref('Error') } }
+});
+
+const responses = {
+    BadRequest: errorResponse('The request is invalid (code VALIDATION_ERROR lists the failed fields)'),
+    Unauthorized: errorResponse('Credentials are missing or wrong'),
+    Forbidden: errorResponse('Invalid or expired token, or not allowed to do this'),
+    NotFound: errorResponse('The resource does not exist'),
+    Conflict: errorResponse('The resource is not in a state that allows this'),
+    PreconditionFailed: errorResponse('If-Match does not match; details.item is the current item', { ETag: etag }),
+    TooManyRequests: errorResponse('Rate limit or login lockout', { 'Retry-After': retryAfter })
+};
+
+const securitySchemes = {
+    bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        bearerFormat: 'JWT',
+        description: 'Access token from login, register or refresh'
+    },
+    apiKeyAuth: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'Authorization',
+        description: 'Personal API key sent as "ApiKey <key>"; limited to its scopes and to item routes'
+    }
+};
+
+// Security requirements used by the path definitions
+const security = {
+    // Logged in, with an access token or an API key
+    any: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+    // Logged in with an access token; API keys are refused
+    session: [{ bearerAuth: [] }],
+    // Anonymous access allowed, credentials optional
+    optional: [{}, { bearerAuth: [] }, { apiKeyAuth: [] }]
+};
+
+/**
+ * JSON request body
+ * @param {object} schema - Body schema
+ * @param {object} [options]
+ * @param {boolean} [options.required] - Whether a body must be sent
+ * @param {string[]} [options.mediaTypes] - Accepted media types
+ */
+function jsonBody(schema, { required = true, mediaTypes = ['application/json'] } = {}) {
+    return {
+        required,
+        content: Object.fromEntries(mediaTypes.map((type) => [type, { schema }]))
+    };
+}
+
+/**
+ * Successful JSON response
+ * @param {string} description - What the response contains
+ * @param {object} schema - Body schema
+ * @param {object} [headers] - Response headers
+ */
+function jsonResponse(description, schema, headers) {
+    return {
+        description,
+        ...(headers && { headers }),
+        content: { 'application/json': { schema } }
+    };
+}
+
+// Responses for the given error statuses, e.g. errors(400, 404)
+function errors(...statuses) {
+    const names = {
+        400: 'BadRequest',
+        401: 'Unauthorized',
+        403: 'Forbidden',
+        404: 'NotFound',
+        409: 'Conflict',
+        412: 'PreconditionFailed',
+        429: 'TooManyRequests'
+    };
+
+    return Object.fromEntries(statuses.map((status) => [status, { $ref: `#/components/responses/${names[status]}` }]));
+}
+
+const param = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+// Optional query parameter
+function queryParam(name, schema, description) {
+    return { name, in: 'query', ...(description && { description }), schema };
+}
+
+module.exports = {
+    notBlank,
+    ref,
+    param,
+    queryParam,
+    jsonBody,
+    jsonResponse,
+    errors,
+    security,
+    etag,
+    components: { schemas, parameters, responses, securitySchemes }
+};
@@ -0,0 +1,40 @@
+const { PUBLIC_API_URL } = require('../config');
+const { components } = require('./components');
+const itemPaths = require('./paths/items');
+const userPaths = require('./paths/users');
+const adminPaths = require('./paths/admin');
+const metaPaths = require('./paths/meta');
+
+/**
+ * OpenAPI 3.1 description of the API
+ * Served at /openapi.json and /docs, and used by middleware/requestValidator.js
+ * to validate every request, so the parameters and bodies documented here are
+ * exactly the ones the API accepts.
+ */
+module.exports = {
+    openapi: '3.1.0',
+    info: {
+        title: 'Product Manager API',
+        version: '1.0.0',
+        description: 'Product catalogue (items) with accounts, roles, API keys and an audit trail.\n\n'
+            + 'Errors are always sent as { error: { code, message, details, requestId } }. '
+            + 'Every response carries an X-Request-Id header; send your own to correlate requests.'
+    },
+    servers: [{ url: PUBLIC_API_URL }],
+    tags: [
+        { name: 'Items' },
+        { name: 'Authentication' },
+        { name: 'Account', description: 'The logged-in user\'s own account' },
+        { name: 'Audit' },
+        { name: 'Invites' },
+        { name: 'Admin', description: 'User management' },
+        { name: 'Meta', description: 'Documentation, health checks and metrics' }
+    ],
+    paths: {
+        ...itemPaths,
+        ...userPaths,
+        ...adminPaths,
+        ...metaPaths
+    },
+    components
+};
@@ -0,0 +1,218 @@
+const { ROLES } = require('../../permissions');
+const {
+    notBlank,
+    ref,
+    param,
+    queryParam,
+    jsonBody,
+    jsonResponse,
+    errors,
+    security
+} = require('../components');
+
+// Item changes, then admin actions on user accounts
+const AUDIT_ACTIONS = [
+    'create', 'update', 'delete', 'restore', 'purge',
+    'user:list', 'user:view', 'user:items', 'user:disable', 'user:enable', 'user:force-password-reset'
+];
+
+const id = { type: 'string', minLength: 1, ...notBlank };
+const date = { type: 'string', format: 'date-time' };
+
+const adminOnly = 'Admin only (users:manage permission); every call is recorded in the audit trail.';
+
+const withId = { parameters: [param('id')] };
+
+// Responses every admin route can give besides its own
+const adminErrors = errors(401, 403);
+
+module.exports = {
+    '/audit': {
+        get: {
+            tags: ['Audit'],
+            operationId: 'getAuditLog',
+            summary: 'Search the audit trail, newest first',
+            description: 'Needs the audit:read permission.',
+            security: security.session,
+            parameters: [
+                param('limit'),
+                param('after'),
+                queryParam('itemId', id),
+                queryParam('targetUserId', id, 'Account an admin action applied to'),
+                queryParam('actorId', id),
+                queryParam('action', { type: 'string', enum: AUDIT_ACTIONS }),
+                queryParam('from', date, 'Entries at or after this time'),
+                queryParam('to', date, 'Entries at or before this time')
+            ],
+            responses: {
+                200: jsonResponse('One page of audit entries', ref('AuditPage')),
+                ...errors(400),
+                ...adminErrors
+            }
+        }
+    },
+
+    '/invites': {
+        get: {
+            tags: ['Invites'],
+            operationId: 'listInvites',
+            summary: 'List invites, newest first',
+            description: adminOnly,
+            security: security.session,
+            responses: {
+                200: jsonResponse('Invites', { type: 'array', items: ref('Invite') }),
+                ...adminErrors
+            }
+        },
+        post: {
+            tags: ['Invites'],
+            operationId: 'createInvite',
+            summary: 'Create an invite code for registering outside the allowed email domains',
+            description: `${adminOnly} The code is returned once and cannot be recovered.`,
+            security: security.session,
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    email: { type: 'string', format: 'email', description: 'Only this address may use the invite' },
+                    role: { type: 'string', enum: ROLES, description: 'Role of the new account; the default role when left out' },
+                    expiresInDays: { type: 'integer', minimum: 1, maximum: 365, default: 7 }
+                }
+            }, { required: false }),
+            responses: {
+                201: jsonResponse('Invite created', {
+                    allOf: [ref('Invite')],
+                    properties: { code: { type: 'string', example: 'K7QP-M3XT-9RWA' } }
+                }),
+                ...errors(400),
+                ...adminErrors
+            }
+        }
+    },
+
+    '/invites/{id}': {
+        ...withId,
+        delete: {
+            tags: ['Invites'],
+            operationId: 'revokeInvite',
+            summary: 'Revoke an unused invite',
+            description: adminOnly,
+            security: security.session,
+            responses: {
+                200: jsonResponse('Invite revoked', ref('Message')),
+                ...errors(404, 409),
+                ...adminErrors
+            }
+        }
+    },
+
+    '/admin/users': {
+        get: {
+            tags: ['Admin'],
+            operationId: 'listUsers',
+            summary: 'List accounts by email',
+            description: adminOnly,
+            security: security.session,
+            parameters: [
+                param('limit'),
+                param('after'),
+                queryParam('q', { type: 'string', minLength: 1, ...notBlank }, 'Email prefix'),
+                queryParam('role', { type: 'string', enum: ROLES }),
+                queryParam('disabled', { type: 'boolean', enum: [true] }, 'Only disabled accounts')
+            ],
+            responses: {
+                200: jsonResponse('One page of accounts', ref('AdminUserPage')),
+                ...errors(400),
+                ...adminErrors
+            }
+        }
+    },
+
+    '/admin/users/{id}': {
+        ...withId,
+        get: {
+            tags: ['Admin'],
+            operationId: 'getUser',
+            summary: 'Get an account',
+            description: adminOnly,
+            security: security.session,
+            responses: {
+                200: jsonResponse('The account', ref('AdminUser')),
+                ...errors(404),
+                ...adminErrors
+            }
+        }
+    },
+
+    '/admin/users/{id}/items': {
+        ...withId,
+        get: {
+            tags: ['Admin'],
+            operationId: 'getUserItems',
+            summary: 'List the items an account created, newest first',
+            description: adminOnly,
+            security: security.session,
+            parameters: [
+                param('limit'),
+                param('after'),
+                queryParam('deleted', { type: 'boolean' }, 'Only trashed (true) or only active (false) items')
+            ],
+            responses: {
+                200: jsonResponse('One page of items', ref('ItemPage')),
+                ...errors(400, 404),
+                ...adminErrors
+            }
+        }
+    },
+
+    '/admin/users/{id}/disable': {
+        ...withId,
+        post: {
+            tags: ['Admin'],
+            operationId: 'disableUser',
+            summary: 'Disable an account and sign out all of its sessions',
+            description: adminOnly,
+            security: security.session,
+            requestBody: jsonBody({
+                type: 'object',
+                properties: { reason: { type: 'string', maxLength: 200 } }
+            }, { required: false }),
+            responses: {
+                200: jsonResponse('The disabled account', ref('AdminUser')),
+                ...errors(400, 404),
+                ...adminErrors
+            }
+        }
+    },
+
+    '/admin/users/{id}/enable': {
+        ...withId,
+        post: {
+            tags: ['Admin'],
+            operationId: 'enableUser',
+            summary: 'Enable a disabled account',
+            description: adminOnly,
+            security: security.session,
+            responses: {
+                200: jsonResponse('The enabled account', ref('AdminUser')),
+                ...errors(404),
+                ...adminErrors
+            }
+        }
+    },
+
+    '/admin/users/{id}/force-password-reset': {
+        ...withId,
+        post: {
+            tags: ['Admin'],
+            operationId: 'forcePasswordReset',
+            summary: 'Sign an account out and require a new password',
+            description: `${adminOnly} A reset token is emailed to the user.`,
+            security: security.session,
+            responses: {
+                200: jsonResponse('The account', ref('AdminUser')),
+                ...errors(404),
+                ...adminErrors
+            }
+        }
+    }
+};
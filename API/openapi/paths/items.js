@@ -0,0 +1,201 @@
+const {
+    notBlank,
+    ref,
+    param,
+    queryParam,
+    jsonBody,
+    jsonResponse,
+    errors,
+    security,
+    etag
+} = require('../components');
+
+const SORT_FIELDS = ['name', 'price', 'createdAt'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+const tags = ['Items'];
+
+const writeDescription = 'Needs the items:write permission (and scope for API keys) and a verified email. '
+    + 'Only the owner or an admin may change an item. Rate limited per user.';
+
+const withId = { parameters: [param('id')] };
+
+module.exports = {
+    '/items': {
+        get: {
+            tags,
+            operationId: 'listItems',
+            summary: 'List items',
+            description: 'Anyone may list items; owner=me needs a login.',
+            security: security.optional,
+            parameters: [
+                param('limit'),
+                queryParam('sort', { type: 'string', enum: SORT_FIELDS, default: 'name' }),
+                queryParam('order', { type: 'string', enum: SORT_ORDERS, default: 'asc' }),
+                param('after'),
+                queryParam('minPrice', { type: 'number', minimum: 0 }),
+                queryParam('maxPrice', { type: 'number', minimum: 0 }, 'Must be at least minPrice'),
+                queryParam('category', { type: 'string', minLength: 1, ...notBlank }),
+                queryParam('inStock', { type: 'boolean' }),
+                queryParam('owner', { type: 'string', enum: ['me'] }, 'Only items created by the logged-in user')
+            ],
+            responses: {
+                200: jsonResponse('One page of items', ref('ItemPage')),
+                ...errors(400, 401)
+            }
+        },
+        post: {
+            tags,
+            operationId: 'createItem',
+            summary: 'Create an item',
+            description: writeDescription,
+            security: security.any,
+            requestBody: jsonBody(ref('ItemInput')),
+            responses: {
+                201: jsonResponse('Item created', {
+                    type: 'object',
+                    properties: { id: { type: 'string' } },
+                    required: ['id']
+                }, { ETag: etag }),
+                ...errors(400, 401, 403, 429)
+            }
+        }
+    },
+
+    '/items/search': {
+        get: {
+            tags,
+            operationId: 'searchItems',
+            summary: 'Full-text search over item names, descriptions and categories',
+            description: 'Each instance searches its own index, which follows its own writes at once and reloads from the datastore every SEARCH_INDEX_REFRESH_SECONDS, so changes made by other instances or scripts can take that long to show up.',
+            parameters: [
+                { ...queryParam('q', { type: 'string', minLength: 1, maxLength: 200, ...notBlank }), required: true },
+                param('limit')
+            ],
+            responses: {
+                200: jsonResponse('Best matches first', ref('ItemSearchResults')),
+                ...errors(400)
+            }
+        }
+    },
+
+    '/items/trash': {
+        get: {
+            tags,
+            operationId: 'listTrash',
+            summary: 'List trashed items, newest deletion first',
+            description: 'Own items only, or everyone\'s for admins. Needs the items:write permission (and scope for API keys).',
+            security: security.any,
+            parameters: [param('limit'), param('after')],
+            responses: {
+                200: jsonResponse('One page of trashed items', ref('ItemPage')),
+                ...errors(400, 401, 403)
+            }
+        }
+    },
+
+    '/items/{id}': {
+        ...withId,
+        get: {
+            tags,
+            operationId: 'getItem',
+            summary: 'Get an item',
+            parameters: [{ name: 'If-None-Match', in: 'header', schema: { type: 'string' } }],
+            responses: {
+                200: jsonResponse('The item', ref('Item'), { ETag: etag }),
+                304: { description: 'If-None-Match matches the current ETag' },
+                ...errors(404)
+            }
+        },
+        put: {
+            tags,
+            operationId: 'replaceItem',
+            summary: 'Replace an item',
+            description: writeDescription,
+            security: security.any,
+            parameters: [param('ifMatch')],
+            requestBody: jsonBody(ref('ItemInput')),
+            responses: {
+                200: jsonResponse('The updated item', ref('Item'), { ETag: etag }),
+                ...errors(400, 401, 403, 404, 412, 429)
+            }
+        },
+        patch: {
+            tags,
+            operationId: 'patchItem',
+            summary: 'Change some fields of an item',
+            description: writeDescription,
+            security: security.any,
+            parameters: [param('ifMatch')],
+            requestBody: jsonBody(ref('ItemPatch'), { mediaTypes: ['application/merge-patch+json', 'application/json'] }),
+            responses: {
+                200: jsonResponse('The updated item', ref('Item'), { ETag: etag }),
+                ...errors(400, 401, 403, 404, 412, 429)
+            }
+        },
+        delete: {
+            tags,
+            operationId: 'deleteItem',
+            summary: 'Move an item to the trash',
+            description: `${writeDescription} Trashed items can be restored until they are purged.`,
+            security: security.any,
+            parameters: [param('ifMatch')],
+            responses: {
+                200: jsonResponse('The trashed item', {
+                    type: 'object',
+                    properties: { message: { type: 'string' }, item: ref('Item') },
+                    required: ['message', 'item']
+                }, { ETag: etag }),
+                ...errors(401, 403, 404, 412, 429)
+            }
+        }
+    },
+
+    '/items/{id}/restore': {
+        ...withId,
+        post: {
+            tags,
+            operationId: 'restoreItem',
+            summary: 'Restore an item from the trash',
+            description: writeDescription,
+            security: security.any,
+            parameters: [param('ifMatch')],
+            responses: {
+                200: jsonResponse('The restored item', ref('Item'), { ETag: etag }),
+                ...errors(401, 403, 404, 409, 412, 429)
+            }
+        }
+    },
+
+    '/items/{id}/purge': {
+        ...withId,
+        delete: {
+            tags,
+            operationId: 'purgeItem',
+            summary: 'Permanently delete a trashed item',
+            description: `${writeDescription} Only the change history is kept.`,
+            security: security.any,
+            parameters: [param('ifMatch')],
+            responses: {
+                200: jsonResponse('Item deleted', ref('Message')),
+                ...errors(401, 403, 404, 409, 412, 429)
+            }
+        }
+    },
+
+    '/items/{id}/history': {
+        ...withId,
+        get: {
+            tags,
+            operationId: 'getItemHistory',
+            summary: 'Change history of an item, newest first',
+            description: 'Visible to the owner and to admins; only admins can see the history of purged items.',
+            security: security.any,
+            parameters: [param('limit'), param('after')],
+            responses: {
+                200: jsonResponse('One page of audit entries', ref('AuditPage')),
+                ...errors(400, 401, 403, 404)
+            }
+        }
+    }
+};
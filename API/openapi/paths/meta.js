@@ -0,0 +1,87 @@
+const tags = ['Meta'];
+
+const healthStatus = (statuses, checks) => ({
+    type: 'object',
+    properties: {
+        status: { type: 'string', enum: statuses },
+        ...checks
+    },
+    required: ['status']
+});
+
+const readiness = (status) => ({
+    description: status === 'ok' ? 'Ready to serve traffic' : 'The datastore cannot be reached',
+    content: {
+        'application/json': {
+            schema: healthStatus([status], {
+                checks: {
+                    type: 'object',
+                    properties: { datastore: { type: 'string', enum: [status] } }
+                }
+            })
+        }
+    }
+});
+
+module.exports = {
+    '/openapi.json': {
+        get: {
+            tags,
+            operationId: 'getOpenApiDocument',
+            summary: 'This document',
+            responses: { 200: { description: 'OpenAPI document', content: { 'application/json': {} } } }
+        }
+    },
+
+    '/docs': {
+        get: {
+            tags,
+            operationId: 'getDocs',
+            summary: 'Browsable documentation of this API',
+            responses: { 200: { description: 'HTML page', content: { 'text/html': {} } } }
+        }
+    },
+
+    '/healthz': {
+        get: {
+            tags,
+            operationId: 'getHealth',
+            summary: 'Liveness probe',
+            description: 'Answers as long as the process is running; does not check the datastore.',
+            responses: {
+                200: {
+                    description: 'The process is up',
+                    content: {
+                        'application/json': {
+                            schema: healthStatus(['ok'], { uptime: { type: 'number', description: 'Seconds since start' } })
+                        }
+                    }
+                }
+            }
+        }
+    },
+
+    '/readyz': {
+        get: {
+            tags,
+            operationId: 'getReadiness',
+            summary: 'Readiness probe',
+            description: 'Checks that the datastore answers within 2 seconds.',
+            responses: {
+                200: readiness('ok'),
+                503: readiness('unavailable')
+            }
+        }
+    },
+
+    '/metrics': {
+        get: {
+            tags,
+            operationId: 'getMetrics',
+            summary: 'Metrics in the Prometheus text format',
+            description: 'Request counts and latency histograms by method, route and status, '
+                + 'auth failures by error code, and item counts. Counters are per process.',
+            responses: { 200: { description: 'Prometheus metrics', content: { 'text/plain': {} } } }
+        }
+    }
+};
@@ -0,0 +1,367 @@
+const { API_KEY_SCOPES } = require('../../permissions');
+const { ITEMS_POLICIES } = require('../../services/accountDeletion');
+const {
+    notBlank,
+    ref,
+    param,
+    jsonBody,
+    jsonResponse,
+    errors,
+    security
+} = require('../components');
+
+const authTags = ['Authentication'];
+const accountTags = ['Account'];
+
+const email = { type: 'string', format: 'email' };
+const password = { type: 'string', minLength: 1 };
+const newPassword = { type: 'string', minLength: 8, description: 'At least 8 characters' };
+const token = { type: 'string', minLength: 1 };
+
+// Body with these properties, all of them required unless listed in optional
+function object(properties, optional = []) {
+    return {
+        type: 'object',
+        properties,
+        required: Object.keys(properties).filter((name) => !optional.includes(name))
+    };
+}
+
+// Second factor: send exactly one of code and recoveryCode
+const secondFactor = {
+    code: { type: 'string', pattern: '^\\s*\\d{6}\\s*$', 'x-pattern-message': 'must be 6 digits', description: 'Code from the authenticator app' },
+    recoveryCode: { type: 'string', description: 'One of the recovery codes, each usable once' }
+};
+
+const message = (description) => jsonResponse(description, ref('Message'));
+
+module.exports = {
+    '/users/register': {
+        post: {
+            tags: authTags,
+            operationId: 'register',
+            summary: 'Create an account and log in',
+            description: 'Emails outside the allowed domains need an invite code. '
+                + 'A verification email is sent; items can only be changed once it is confirmed.',
+            requestBody: jsonBody(object({
+                email,
+                password: newPassword,
+                inviteCode: { type: 'string', minLength: 1, ...notBlank }
+            }, ['inviteCode'])),
+            responses: {
+                201: jsonResponse('Account created', ref('LoginSession')),
+                ...errors(400, 409, 429)
+            }
+        }
+    },
+
+    '/users/login': {
+        post: {
+            tags: authTags,
+            operationId: 'login',
+            summary: 'Log in with email and password',
+            description: 'Repeated failures lock the account for a growing period (429 with Retry-After).',
+            requestBody: jsonBody(object({ email, password })),
+            responses: {
+                200: jsonResponse('Logged in, or a second factor is required', {
+                    oneOf: [ref('LoginSession'), ref('TwoFactorChallenge')]
+                }),
+                ...errors(400, 401, 403, 429)
+            }
+        }
+    },
+
+    '/users/login/2fa': {
+        post: {
+            tags: authTags,
+            operationId: 'loginTwoFactor',
+            summary: 'Finish a login with a two-factor code or recovery code',
+            requestBody: jsonBody(object({ challengeToken: token, ...secondFactor }, ['code', 'recoveryCode'])),
+            responses: {
+                200: jsonResponse('Logged in', ref('LoginSession')),
+                ...errors(400, 401, 403, 429)
+            }
+        }
+    },
+
+    '/users/refresh': {
+        post: {
+            tags: authTags,
+            operationId: 'refreshSession',
+            summary: 'Exchange a refresh token for new tokens',
+            description: 'Refresh tokens are single use; reusing one signs out that login everywhere.',
+            requestBody: jsonBody(object({ refreshToken: token })),
+            responses: {
+                200: jsonResponse('New tokens', ref('LoginSession')),
+                ...errors(400, 401)
+            }
+        }
+    },
+
+    '/users/logout': {
+        post: {
+            tags: authTags,
+            operationId: 'logout',
+            summary: 'Sign out the current session',
+            security: security.session,
+            responses: {
+                200: message('Logged out'),
+                ...errors(401, 403)
+            }
+        }
+    },
+
+    '/users/verify': {
+        get: {
+            tags: authTags,
+            operationId: 'verifyEmail',
+            summary: 'Confirm an email address with the link from the verification email',
+            parameters: [{ name: 'token', in: 'query', required: true, schema: token }],
+            responses: {
+                200: message('Email address verified'),
+                ...errors(400)
+            }
+        }
+    },
+
+    '/users/verify/resend': {
+        post: {
+            tags: authTags,
+            operationId: 'resendVerification',
+            summary: 'Send a new verification email',
+            security: security.session,
+            responses: {
+                200: message('Verification email sent'),
+                ...errors(400, 401, 403, 404, 429)
+            }
+        }
+    },
+
+    '/users/forgot-password': {
+        post: {
+            tags: authTags,
+            operationId: 'forgotPassword',
+            summary: 'Email a password reset token',
+            description: 'Answers the same whether or not the account exists. Only the newest token works, and at most one is sent per address every PASSWORD_RESET_INTERVAL_SECONDS; requests in between are ignored.',
+            requestBody: jsonBody(object({ email })),
+            responses: {
+                200: message('Reset token sent if the account exists'),
+                ...errors(400, 429)
+            }
+        }
+    },
+
+    '/users/reset-password': {
+        post: {
+            tags: authTags,
+            operationId: 'resetPassword',
+            summary: 'Choose a new password with a reset token',
+            description: 'Signs out every session of the account.',
+            requestBody: jsonBody(object({ token, password: newPassword })),
+            responses: {
+                200: message('Password reset'),
+                ...errors(400, 429)
+            }
+        }
+    },
+
+    '/users/me': {
+        get: {
+            tags: accountTags,
+            operationId: 'getMe',
+            summary: 'The logged-in user\'s account',
+            security: security.session,
+            responses: {
+                200: jsonResponse('The account', ref('User')),
+                ...errors(401, 403, 404)
+            }
+        },
+        patch: {
+            tags: accountTags,
+            operationId: 'updateMe',
+            summary: 'Change the profile',
+            security: security.session,
+            requestBody: jsonBody({
+                type: 'object',
+                properties: {
+                    displayName: { type: ['string', 'null'], minLength: 1, maxLength: 50, ...notBlank, description: 'null removes it' }
+                },
+                additionalProperties: false
+            }),
+            responses: {
+                200: jsonResponse('The updated account', ref('User')),
+                ...errors(400, 401, 403, 404)
+            }
+        },
+        delete: {
+            tags: accountTags,
+            operationId: 'deleteMe',
+            summary: 'Delete the account',
+            description: 'itemsPolicy decides what happens to the user\'s items: trash them (default), '
+                + 'keep them without an owner, or transfer them to another user who can edit items.',
+            security: security.session,
+            requestBody: jsonBody(object({
+                password,
+                itemsPolicy: { type: 'string', enum: ITEMS_POLICIES, default: 'trash' },
+                transferTo: { ...email, description: 'Required when itemsPolicy is transfer' }
+            }, ['itemsPolicy', 'transferTo'])),
+            responses: {
+                200: jsonResponse('Account deleted', {
+                    type: 'object',
+                    properties: {
+                        message: { type: 'string' },
+                        itemsPolicy: { type: 'string', enum: ITEMS_POLICIES },
+                        changedItems: { type: 'integer' }
+                    }
+                }),
+                ...errors(400, 401, 403, 404, 429)
+            }
+        }
+    },
+
+    '/users/me/password': {
+        post: {
+            tags: accountTags,
+            operationId: 'changePassword',
+            summary: 'Change the password',
+            description: 'Other sessions are signed out. Wrong passwords count towards the login lockout.',
+            security: security.session,
+            requestBody: jsonBody(object({ currentPassword: password, newPassword })),
+            responses: {
+                200: message('Password changed'),
+                ...errors(400, 401, 403, 404, 429)
+            }
+        }
+    },
+
+    '/users/me/api-keys': {
+        get: {
+            tags: accountTags,
+            operationId: 'listApiKeys',
+            summary: 'List the user\'s API keys, newest first',
+            security: security.session,
+            responses: {
+                200: jsonResponse('API keys', { type: 'array', items: ref('ApiKey') }),
+                ...errors(401, 403)
+            }
+        },
+        post: {
+            tags: accountTags,
+            operationId: 'createApiKey',
+            summary: 'Create an API key',
+            description: 'The key can only carry scopes the user\'s role grants. It is returned once and cannot be recovered.',
+            security: security.session,
+            requestBody: jsonBody(object({
+                name: { type: 'string', minLength: 1, maxLength: 50, ...notBlank },
+                scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: API_KEY_SCOPES } },
+                expiresInDays: { type: 'integer', minimum: 1, maximum: 365, description: 'Never expires when left out' }
+            }, ['expiresInDays'])),
+            responses: {
+                201: jsonResponse('API key created', {
+                    allOf: [ref('ApiKey')],
+                    properties: { key: { type: 'string', description: 'The key, shown only this once' } }
+                }),
+                ...errors(400, 401, 403)
+            }
+        }
+    },
+
+    '/users/me/api-keys/{id}': {
+        parameters: [param('id')],
+        delete: {
+            tags: accountTags,
+            operationId: 'revokeApiKey',
+            summary: 'Revoke an API key',
+            security: security.session,
+            responses: {
+                200: message('API key revoked'),
+                ...errors(401, 403, 404)
+            }
+        }
+    },
+
+    '/users/me/2fa/setup': {
+        post: {
+            tags: accountTags,
+            operationId: 'setupTwoFactor',
+            summary: 'Start enabling two-factor authentication',
+            description: 'Add the secret to an authenticator app, then confirm with a code.',
+            security: security.session,
+            responses: {
+                200: jsonResponse('New secret', object({
+                    secret: { type: 'string' },
+                    otpauthUri: { type: 'string', description: 'Can be shown as a QR code' }
+                })),
+                ...errors(401, 403, 404, 409)
+            }
+        }
+    },
+
+    '/users/me/2fa/confirm': {
+        post: {
+            tags: accountTags,
+            operationId: 'confirmTwoFactor',
+            summary: 'Enable two-factor authentication with a first code',
+            security: security.session,
+            requestBody: jsonBody(object({ code: secondFactor.code })),
+            responses: {
+                200: jsonResponse('Enabled; the recovery codes are shown only this once', object({
+                    message: { type: 'string' },
+                    recoveryCodes: { type: 'array', items: { type: 'string' } }
+                })),
+                ...errors(400, 401, 403, 404, 409)
+            }
+        }
+    },
+
+    '/users/me/2fa/disable': {
+        post: {
+            tags: accountTags,
+            operationId: 'disableTwoFactor',
+            summary: 'Disable two-factor authentication',
+            security: security.session,
+            requestBody: jsonBody(object({ password, ...secondFactor }, ['code', 'recoveryCode'])),
+            responses: {
+                200: message('Disabled'),
+                ...errors(400, 401, 403, 404, 429)
+            }
+        }
+    },
+
+    '/users/me/sessions': {
+        get: {
+            tags: accountTags,
+            operationId: 'listSessions',
+            summary: 'List the devices the user is logged in on',
+            security: security.session,
+            responses: {
+                200: jsonResponse('Active sessions', { type: 'array', items: ref('Session') }),
+                ...errors(401, 403)
+            }
+        },
+        delete: {
+            tags: accountTags,
+            operationId: 'signOutEverywhere',
+            summary: 'Sign out every session, including this one',
+            security: security.session,
+            responses: {
+                200: message('Signed out everywhere'),
+                ...errors(401, 403)
+            }
+        }
+    },
+
+    '/users/me/sessions/{id}': {
+        parameters: [param('id')],
+        delete: {
+            tags: accountTags,
+            operationId: 'revokeSession',
+            summary: 'Sign out one session',
+            security: security.session,
+            responses: {
+                200: message('Session signed out'),
+                ...errors(401, 403, 404)
+            }
+        }
+    }
+};
@@ -0,0 +1,52 @@
+const { DEFAULT_USER_ROLE } = require('./config');
+
+/**
+ * Roles a user can have
+ * - admin: full access, including other users' items
+ * - editor: can create items and modify the items they own
+ * - viewer: read-only access, even when logged in
+ */
+const ROLES = ['admin', 'editor', 'viewer'];
+
+// Role given to newly registered users and to accounts created before roles existed
+const DEFAULT_ROLE = DEFAULT_USER_ROLE;
+
+if (!ROLES.includes(DEFAULT_ROLE)) {
+    throw new Error(`DEFAULT_USER_ROLE must be one of: ${ROLES.join(', ')}`);
+}
+
+/**
+ * Permissions granted to each role
+ * - items:read: list, search and view items
+ * - items:write: create items and modify owned items
+ * - items:manage: modify or delete any item regardless of owner
+ * - users:manage: administer user accounts
+ * - audit:read: read the audit trail of every item
+ */
+const ROLE_PERMISSIONS = {
+    admin: ['items:read', 'items:write', 'items:manage', 'users:manage', 'audit:read'],
+    editor: ['items:read', 'items:write'],
+    viewer: ['items:read']
+};
+
+// Scopes an API key can be limited to; a key never grants more than its owner's role
+const API_KEY_SCOPES = ['items:read', 'items:write'];
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name, e.g. 'items:write'
+ * @returns {boolean} True if the role has the permission
+ */
+function hasPermission(role, permission) {
+    const permissions = ROLE_PERMISSIONS[role] || [];
+    return permissions.includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    ROLE_PERMISSIONS,
+    API_KEY_SCOPES,
+    hasPermission
+};
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const {
+    listUsers,
+    getUser,
+    getUserItems,
+    disableUser,
+    enableUser,
+    forcePasswordReset
+} = require('../controllers/adminUsers');
+const {
+    adminUserListValidation,
+    adminUserItemsValidation,
+    disableUserValidation
+} = require('../validators/adminValidator');
+const { validateToken, requireSession, requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/requestValidator');
+
+// Admin only
+router.use(validateToken, requireSession, requirePermission('users:manage'), validateRequest);
+
+router.get('/', adminUserListValidation, listUsers);
+router.get('/:id', getUser);
+router.get('/:id/items', adminUserItemsValidation, getUserItems);
+router.post('/:id/disable', disableUserValidation, disableUser);
+router.post('/:id/enable', enableUser);
+router.post('/:id/force-password-reset', forcePasswordReset);
+
+module.exports = router;
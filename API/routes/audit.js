@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLog } = require('../controllers/audit');
+const { auditListValidation } = require('../validators/auditValidator');
+const { validateToken, requireSession, requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/requestValidator');
+
+// Admin only
+router.get('/', validateToken, requireSession, requirePermission('audit:read'), validateRequest, auditListValidation, getAuditLog);
+
+module.exports = router;
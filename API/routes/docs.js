@@ -0,0 +1,38 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const router = express.Router();
+const openapiDocument = require('../openapi');
+
+// Swagger UI is served from the installed swagger-ui-dist package, so the docs
+// load the version in package-lock.json and work without reaching a CDN
+const SWAGGER_UI = 'docs/assets';
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${openapiDocument.info.title}</title>
+    <link rel="stylesheet" href="${SWAGGER_UI}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="${SWAGGER_UI}/swagger-ui-bundle.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });
+    </script>
+</body>
+</html>
+`;
+
+router.get('/openapi.json', (req, res) => {
+    res.status(200).json(openapiDocument);
+});
+
+router.use('/docs/assets', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+router.get('/docs', (req, res) => {
+    res.status(200).type('html').send(DOCS_PAGE);
+});
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { getHealth, getReadiness, getMetrics } = require('../controllers/health');
+
+// Probes for the load balancer and the metrics scraper; no authentication
+router.get('/healthz', getHealth);
+router.get('/readyz', getReadiness);
+router.get('/metrics', getMetrics);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const { createInvite, listInvites, revokeInvite } = require('../controllers/invites');
+const { inviteValidation } = require('../validators/authValidator');
+const { validateToken, requireSession, requirePermission } = require('../middleware/auth');
+const { validateRequest } = require('../middleware/requestValidator');
+
+// Admin only
+router.use(validateToken, requireSession, requirePermission('users:manage'), validateRequest);
+
+router.get('/', listInvites);
+router.post('/', inviteValidation, createInvite);
+router.delete('/:id', revokeInvite);
+
+module.exports = router;
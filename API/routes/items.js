@@ -1,16 +1,71 @@
 const express = require('express');
 const router = express.Router();
-const { getAllItems, getItemById, createItem, updateItem, deleteItem } = require('../controllers/items');
-const { itemValidation } = require('../validators/itemValidator');
-const { validateToken } = require('../middleware/auth');
+const {
+    getAllItems,
+    searchItems,
+    getItemById,
+    createItem,
+    updateItem,
+    patchItem,
+    deleteItem,
+    restoreItem,
+    purgeItem,
+    getTrash,
+    getItemHistory
+} = require('../controllers/items');
+const {
+    itemValidation,
+    itemListValidation,
+    itemSearchValidation,
+    itemTrashValidation
+} = require('../validators/itemValidator');
+const { historyValidation } = require('../validators/auditValidator');
+const {
+    validateToken,
+    optionalToken,
+    requirePermission,
+    requireScope,
+    requireVerifiedEmail
+} = require('../middleware/auth');
+const { writeRateLimit } = require('../middleware/rateLimit');
+const { validateRequest } = require('../middleware/requestValidator');
+
+// API keys are limited to their scopes; login sessions are not. Each group ends
+// with validateRequest, so only callers who are let in see validation errors.
+const canRead = [validateToken, requireScope('items:read'), validateRequest];
+// The trash is a write-side view: it needs the items:write permission, and the
+// items:write scope for API keys
+const canSeeTrash = [
+    validateToken,
+    requireScope('items:write'),
+    requirePermission('items:write'),
+    requireVerifiedEmail,
+    validateRequest
+];
+// Changing items needs the items:write permission and a verified email address,
+// and is rate limited per user
+const canWrite = [
+    validateToken,
+    requireScope('items:write'),
+    writeRateLimit,
+    requirePermission('items:write'),
+    requireVerifiedEmail,
+    validateRequest
+];
 
 // Public routes
-router.get('/', getAllItems);
+router.get('/', optionalToken, itemListValidation, getAllItems);
+router.get('/search', itemSearchValidation, searchItems);
+router.get('/trash', canSeeTrash, itemTrashValidation, getTrash);
 router.get('/:id', getItemById);
+router.get('/:id/history', canRead, historyValidation, getItemHistory);
 
 // Protected routes
-router.post('/', validateToken, itemValidation, createItem);
-router.put('/:id', validateToken, itemValidation, updateItem);
-router.delete('/:id', validateToken, deleteItem);
+router.post('/', canWrite, itemValidation, createItem);
+router.put('/:id', canWrite, itemValidation, updateItem);
+router.patch('/:id', canWrite, itemValidation, patchItem);
+router.delete('/:id', canWrite, deleteItem);
+router.post('/:id/restore', canWrite, restoreItem);
+router.delete('/:id/purge', canWrite, purgeItem);
 
 module.exports = router;
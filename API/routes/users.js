@@ -1,9 +1,73 @@
 const express = require('express');
 const router = express.Router();
-const { login, register } = require('../controllers/users')
-const { authValidation } = require('../validators/authValidator')
+const {
+    login,
+    loginTwoFactor,
+    register,
+    refresh,
+    logout,
+    verifyEmail,
+    resendVerification,
+    forgotPassword,
+    resetPassword
+} = require('../controllers/users')
+const {
+    loginValidation,
+    twoFactorLoginValidation,
+    registerValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation
+} = require('../validators/authValidator')
+const {
+    getMe,
+    updateMe,
+    changePassword,
+    deleteMe,
+    setupTwoFactor,
+    confirmTwoFactor,
+    disableTwoFactor,
+    listSessions,
+    revokeSession,
+    signOutEverywhere
+} = require('../controllers/account')
+const { createApiKey, listApiKeys, revokeApiKey } = require('../controllers/apiKeys')
+const {
+    profileValidation,
+    changePasswordValidation,
+    deleteAccountValidation,
+    apiKeyValidation,
+    twoFactorConfirmValidation,
+    twoFactorDisableValidation
+} = require('../validators/accountValidator')
+const { validateToken, requireSession } = require('../middleware/auth')
+const { validateRequest } = require('../middleware/requestValidator')
 
-router.post('/register', authValidation, register);
-router.post('/login', authValidation, login);
+// Account routes need a real login; API keys are refused
+const session = [validateToken, requireSession, validateRequest]
+
+router.post('/register', registerValidation, register);
+router.post('/login', loginValidation, login);
+router.post('/login/2fa', twoFactorLoginValidation, loginTwoFactor);
+router.post('/refresh', refresh);
+router.post('/logout', session, logout);
+router.get('/verify', verifyEmail);
+router.post('/verify/resend', session, resendVerification);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+
+// The logged-in user's own account
+router.get('/me', session, getMe);
+router.patch('/me', session, profileValidation, updateMe);
+router.post('/me/password', session, changePasswordValidation, changePassword);
+router.delete('/me', session, deleteAccountValidation, deleteMe);
+router.get('/me/api-keys', session, listApiKeys);
+router.post('/me/api-keys', session, apiKeyValidation, createApiKey);
+router.delete('/me/api-keys/:id', session, revokeApiKey);
+router.post('/me/2fa/setup', session, setupTwoFactor);
+router.post('/me/2fa/confirm', session, twoFactorConfirmValidation, confirmTwoFactor);
+router.post('/me/2fa/disable', session, twoFactorDisableValidation, disableTwoFactor);
+router.get('/me/sessions', session, listSessions);
+router.delete('/me/sessions', session, signOutEverywhere);
+router.delete('/me/sessions/:id', session, revokeSession);
 
 module.exports = router;
\ No newline at end of file
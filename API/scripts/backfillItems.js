@@ -0,0 +1,45 @@
+const db = require('../db');
+
+// Fields every item is expected to have, with the value to use when it is missing.
+// Listing filters on deletedAt == null, and Firestore never matches documents
+// that lack the field, so older items must get an explicit null to stay visible.
+const DEFAULTS = {
+    deletedAt: null,
+    version: 1
+};
+
+// Add missing system fields to items created before those fields existed
+async function backfillItems() {
+    const itemsCollection = db.collection('items');
+    const items = await itemsCollection.findAll();
+    let updated = 0;
+
+    for (const item of items) {
+        const missing = {};
+
+        for (const [field, value] of Object.entries(DEFAULTS)) {
+            if (item[field] === undefined) {
+                missing[field] = value;
+            }
+        }
+
+        if (Object.keys(missing).length > 0) {
+            await itemsCollection.update(item.id, missing);
+            updated++;
+        }
+    }
+
+    console.log(`Backfilled ${updated} of ${items.length} items.`);
+}
+
+// Run the script if it is executed directly
+if (require.main === module) {
+    backfillItems().then(() => {
+        process.exit(0);
+    }).catch(error => {
+        console.error('Backfill failed:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = { backfillItems };
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const itemPaths = require('../openapi/paths/items');
+
+const OUTPUT_FILE = path.resolve(__dirname, '..', 'firestore.indexes.json');
+
+const sortParam = (name) => itemPaths['/items'].get.parameters.find((param) => param.name === name).schema.enum;
+
+// Every subset of a list, including the empty one
+const subsets = (list) => list.reduce((all, entry) => all.concat(all.map((subset) => [...subset, entry])), [[]]);
+
+/**
+ * Query shapes run against Firestore, one per combination the models can build
+ * - equal: fields filtered with == (always present), plus optional ones
+ * - range: field filtered with <, <=, >=, > or != (optional unless required)
+ * - orderBy / directions: the sort; queryPage adds the document id as a tie-breaker
+ * Keep in sync with buildFilters in models/Item.js and models/Audit.js and findPage in models/User.js.
+ */
+const QUERIES = [
+    // GET /items and GET /admin/users/{id}/items
+    {
+        collection: 'items',
+        equal: ['deletedAt'],
+        optionalEqual: ['category', 'inStock', 'createdBy'],
+        range: 'price',
+        orderBy: sortParam('sort'),
+        directions: sortParam('order')
+    },
+    // GET /items/trash: deletedAt != null, own items unless admin
+    {
+        collection: 'items',
+        equal: [],
+        optionalEqual: ['createdBy'],
+        range: 'deletedAt',
+        rangeRequired: true,
+        orderBy: ['deletedAt'],
+        directions: ['desc']
+    },
+    // GET /admin/users/{id}/items?deleted=true
+    {
+        collection: 'items',
+        equal: ['createdBy'],
+        optionalEqual: [],
+        range: 'deletedAt',
+        rangeRequired: true,
+        orderBy: ['createdAt'],
+        directions: ['desc']
+    },
+    // GET /admin/users: the email prefix is a range on the sort field
+    {
+        collection: 'users',
+        equal: [],
+        optionalEqual: ['role', 'disabled'],
+        range: 'email',
+        orderBy: ['email'],
+        directions: ['asc']
+    },
+    // GET /audit and GET /items/{id}/history
+    {
+        collection: 'audit',
+        equal: [],
+        optionalEqual: ['itemId', 'targetUserId', 'actorId', 'action'],
+        range: 'timestamp',
+        orderBy: ['timestamp'],
+        directions: ['desc']
+    }
+];
+
+const field = (fieldPath, direction) => ({ fieldPath, order: direction === 'desc' ? 'DESCENDING' : 'ASCENDING' });
+
+/**
+ * Composite index for one query, or null when single-field indexes serve it
+ * Fields go equality filters first, then the sort, then a range on another
+ * field, which Firestore orders by implicitly in the direction of the sort.
+ * queryPage also counts the matches: that query has no sort, so its range
+ * field comes right after the equality filters, ascending.
+ */
+function indexFor(collection, { equal, orderBy, direction, range }) {
+    const fields = [...equal].sort().map((name) => field(name, 'asc'));
+
+    if (orderBy) fields.push(field(orderBy, direction));
+    if (range && range !== orderBy) fields.push(field(range, orderBy ? direction : 'asc'));
+
+    // Firestore builds single-field indexes itself, and merges them for equality-only queries
+    const needsComposite = fields.length > 1 && (orderBy || range);
+
+    return needsComposite ? { collectionGroup: collection, queryScope: 'COLLECTION', fields } : null;
+}
+
+/**
+ * Composite index a store query needs, or null
+ * @param {string} collection - Collection name
+ * @param {object} query - { where, orderBy, direction } as passed to query() or count()
+ * @returns {object|null} Index in the Firebase CLI format
+ */
+function indexForQuery(collection, { where = [], orderBy, direction = 'asc' }) {
+    const equal = where.filter(([, op]) => op === '==').map(([name]) => name);
+    const ranges = [...new Set(where.filter(([, op]) => op !== '==').map(([name]) => name))];
+
+    if (ranges.length > 1) {
+        throw new Error(`Query on ${collection} has ranges on several fields: ${ranges.join(', ')}`);
+    }
+
+    return indexFor(collection, { equal: [...new Set(equal)], orderBy, direction, range: ranges[0] });
+}
+
+/**
+ * Build the firestore.indexes.json content for every query shape
+ * @returns {object} { indexes, fieldOverrides } in the Firebase CLI format
+ */
+function buildIndexes() {
+    const indexes = new Map();
+    const add = (index) => {
+        if (index) indexes.set(JSON.stringify(index), index);
+    };
+
+    for (const query of QUERIES) {
+        for (const optional of subsets(query.optionalEqual)) {
+            const equal = [...query.equal, ...optional];
+            const ranges = query.rangeRequired ? [query.range] : [undefined, query.range];
+
+            for (const range of ranges) {
+                for (const orderBy of query.orderBy) {
+                    for (const direction of query.directions) {
+                        add(indexFor(query.collection, { equal, orderBy, direction, range }));
+                    }
+                }
+                add(indexFor(query.collection, { equal, range }));
+            }
+        }
+    }
+
+    return { indexes: [...indexes.values()], fieldOverrides: [] };
+}
+
+const render = () => `${JSON.stringify(buildIndexes(), null, 2)}\n`;
+
+// Run the script if it is executed directly
+if (require.main === module) {
+    fs.writeFileSync(OUTPUT_FILE, render());
+    console.log(`Wrote ${buildIndexes().indexes.length} indexes to ${path.relative(process.cwd(), OUTPUT_FILE)}.`);
+}
+
+module.exports = { buildIndexes, indexForQuery, render, OUTPUT_FILE };
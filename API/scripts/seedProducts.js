@@ -1,4 +1,5 @@
 const db = require('../db');
+const { findByEmail } = require('../models/User');
 
 // Array of realistic product names
 const productNames = [
@@ -26,12 +27,13 @@ function getRandomPrice(min, max) {
     return Math.round((Math.random() * (max - min) + min) * 100) / 100;
 }
 
-// Generate random product data
-function generateRandomProduct() {
+// Generate random product data, owned by createdBy (a user id) if given
+function generateRandomProduct(createdBy = null) {
     const name = productNames[Math.floor(Math.random() * productNames.length)];
     const brand = brands[Math.floor(Math.random() * brands.length)];
     const price = getRandomPrice(10, 500);
     const quantity = Math.floor(Math.random() * 100) + 1;
+    const now = new Date().toISOString();
     
     return {
         name: `${brand} ${name}`,
@@ -39,27 +41,43 @@ function generateRandomProduct() {
         quantity: quantity,
         description: `High-quality ${name.toLowerCase()} from ${brand}`,
         category: 'Electronics',
-        createdAt: new Date().toISOString(),
-        inStock: quantity > 0
+        createdAt: now,
+        updatedAt: now,
+        inStock: quantity > 0,
+        version: 1,
+        deletedAt: null,
+        ...(createdBy && { createdBy })
     };
 }
 
-// Seed products into Firestore
-async function seedProducts(count = 50) {
+// Seed products into the configured store (see STORAGE_BACKEND in db.js)
+// Without an owner the products have no createdBy, so under the default
+// UNOWNED_ITEMS_POLICY (deny) only admins can change or delete them
+async function seedProducts(count = 50, ownerEmail = null) {
+    const owner = ownerEmail && await findByEmail(ownerEmail);
+
+    if (ownerEmail && !owner) {
+        throw new Error(`No user found with email ${ownerEmail}`);
+    }
+
     try {
-        console.log(`Starting to seed ${count} products...`);
+        console.log(`Starting to seed ${count} products${owner ? ` owned by ${owner.email}` : ''}...`);
+
+        if (!owner) {
+            console.log('No owner given: only admins can change or delete these products (see UNOWNED_ITEMS_POLICY).');
+        }
         
         const itemsCollection = db.collection('items');
         const products = [];
         
         // Generate products
         for (let i = 0; i < count; i++) {
-            const product = generateRandomProduct();
+            const product = generateRandomProduct(owner ? owner.id : null);
             products.push(product);
         }
         
-        // Add products to Firestore
-        const promises = products.map(product => itemsCollection.add(product));
+        // Add products to the store
+        const promises = products.map(product => itemsCollection.create(product));
         await Promise.all(promises);
         
         console.log(`Successfully seeded ${count} products!`);
@@ -89,7 +107,8 @@ async function seedProducts(count = 50) {
 // Run the seeder if this script is executed directly
 if (require.main === module) {
     const count = process.argv[2] ? parseInt(process.argv[2]) : 50;
-    seedProducts(count).then(() => {
+    const ownerEmail = process.argv[3] || null;
+    seedProducts(count, ownerEmail).then(() => {
         console.log('Seeding completed!');
         process.exit(0);
     }).catch(error => {
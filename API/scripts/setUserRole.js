@@ -0,0 +1,37 @@
+const { findByEmail, update } = require('../models/User');
+const { ROLES } = require('../permissions');
+
+// Change the role of an existing user, e.g. to promote the first admin
+async function setUserRole(email, role) {
+    if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const user = await findByEmail(email);
+
+    if (!user) {
+        throw new Error(`No user found with email ${email}`);
+    }
+
+    await update(user.id, { role });
+    console.log(`${email} is now ${role}. The new role applies from their next login.`);
+}
+
+// Run the script if it is executed directly
+if (require.main === module) {
+    const [email, role] = process.argv.slice(2);
+
+    if (!email || !role) {
+        console.error('Usage: node scripts/setUserRole.js <email> <role>');
+        process.exit(1);
+    }
+
+    setUserRole(email, role).then(() => {
+        process.exit(0);
+    }).catch(error => {
+        console.error('Failed to set role:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { setUserRole };
@@ -0,0 +1,100 @@
+const Item = require('../models/Item');
+const User = require('../models/User');
+const Audit = require('../models/Audit');
+const itemSearch = require('./itemSearch');
+const { revokeAllSessions } = require('./tokens');
+const { diffFields } = require('../utils/diff');
+
+/**
+ * What happens to the items of a deleted account
+ * - trash (default): items go to the trash and are purged after the retention period
+ * - orphan: items stay but lose their owner (see UNOWNED_ITEMS_POLICY)
+ * - transfer: items are given to another user
+ */
+const ITEMS_POLICIES = ['trash', 'orphan', 'transfer'];
+
+// The change each policy makes to one item, or null to leave it alone
+const policyChanges = {
+    trash: (item, user) => (item.deletedAt ? null : { deletedAt: new Date().toISOString(), deletedBy: user.id }),
+    orphan: () => ({ createdBy: null }),
+    transfer: (item, user, recipient) => ({ createdBy: recipient.id })
+};
+
+/**
+ * Apply the chosen policy to every item the user owns
+ * Each item is changed in its own transaction, versioned and audited like any
+ * other change made by the user.
+ * @param {object} user - Stored user being deleted
+ * @param {string} policy - One of ITEMS_POLICIES
+ * @param {object|null} recipient - Stored user receiving the items (transfer only)
+ * @returns {Promise<number>} Number of changed items
+ */
+async function applyItemsPolicy(user, policy, recipient) {
+    const owned = await Item.findByOwner(user.id);
+    let changed = 0;
+
+    for (const { id } of owned) {
+        const newItem = await Item.runTransaction(async (tx) => {
+            const item = await Item.findById(id, tx);
+
+            // Skip items that were changed or removed since they were listed
+            if (!item || item.createdBy !== user.id) {
+                return null;
+            }
+
+            const { id: itemId, ...stored } = item;
+            const change = policyChanges[policy](stored, user, recipient);
+
+            if (!change) {
+                return null;
+            }
+
+            const updated = {
+                ...stored,
+                ...change,
+                updatedAt: new Date().toISOString(),
+                version: (stored.version || 0) + 1
+            };
+
+            await Audit.record({
+                itemId,
+                action: policy === 'trash' ? 'delete' : 'update',
+                actorId: user.id,
+                actorEmail: user.email,
+                changes: diffFields(stored, updated)
+            }, tx);
+
+            return await Item.replace(itemId, updated, tx);
+        });
+
+        if (newItem) {
+            changed += 1;
+            if (newItem.deletedAt) {
+                itemSearch.removeItem(newItem.id);
+            }
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Delete an account: handle its items, remove the user and sign out all sessions
+ * @param {object} user - Stored user
+ * @param {string} policy - One of ITEMS_POLICIES
+ * @param {object|null} recipient - Stored user receiving the items (transfer only)
+ * @returns {Promise<number>} Number of items the policy changed
+ */
+async function deleteAccount(user, policy, recipient = null) {
+    const changed = await applyItemsPolicy(user, policy, recipient);
+
+    await User.remove(user.id);
+    await revokeAllSessions(user.id, 'account-deleted');
+
+    return changed;
+}
+
+module.exports = {
+    ITEMS_POLICIES,
+    deleteAccount
+};
@@ -0,0 +1,48 @@
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const { DEFAULT_ROLE } = require('../permissions');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'apiKeys' });
+
+// lastUsedAt is only written when it is older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+/**
+ * Resolve an API key to the user it acts for
+ * The owner's current role is used, so demoting a user also limits their keys.
+ * @param {string} key - Plain API key from the Authorization header
+ * @returns {Promise<object|null>} { userId, email, role, apiKeyId, scopes } or null
+ * if the key is unknown, revoked, expired or its owner no longer exists or is disabled
+ */
+async function authenticateApiKey(key) {
+    const apiKey = await ApiKey.findByKey(key);
+    const now = new Date();
+
+    if (!apiKey || apiKey.revokedAt || (apiKey.expiresAt && apiKey.expiresAt <= now.toISOString())) {
+        return null;
+    }
+
+    const user = await User.findById(apiKey.userId);
+
+    if (!user || user.disabled) {
+        return null;
+    }
+
+    if (!apiKey.lastUsedAt || now - Date.parse(apiKey.lastUsedAt) > LAST_USED_RESOLUTION_MS) {
+        // Usage tracking must not fail or slow down the request itself
+        ApiKey.update(apiKey.id, { lastUsedAt: now.toISOString() }).catch((error) => {
+            log.error('Error recording API key use', { err: error, apiKeyId: apiKey.id });
+        });
+    }
+
+    return {
+        userId: user.id,
+        email: user.email,
+        role: user.role || DEFAULT_ROLE,
+        apiKeyId: apiKey.id,
+        scopes: apiKey.scopes
+    };
+}
+
+module.exports = { authenticateApiKey };
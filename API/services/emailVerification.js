@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { generatePurposeToken, verifyPurposeToken } = require('../auth');
+const { sendMail } = require('./mailer');
+const {
+    EMAIL_VERIFICATION_TTL,
+    VERIFICATION_RESEND_INTERVAL_SECONDS,
+    PUBLIC_API_URL
+} = require('../config');
+
+const VERIFY_PURPOSE = 'verify-email';
+
+/**
+ * Accounts created before email verification existed have no emailVerified
+ * field and are treated as verified, so nobody gets locked out by the upgrade.
+ * @param {object} user - Stored user
+ * @returns {boolean} True if the user may use protected item routes
+ */
+function isEmailVerified(user) {
+    return user.emailVerified !== false;
+}
+
+/**
+ * Email a fresh verification link to the user
+ * Each link carries a nonce that is stored on the user; issuing a new link
+ * replaces the nonce, so only the latest link works and only once.
+ * @param {object} user - Stored user with id and email
+ */
+async function sendVerificationEmail(user) {
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    await User.update(user.id, {
+        verificationNonce: nonce,
+        verificationSentAt: new Date().toISOString()
+    });
+
+    const token = generatePurposeToken(VERIFY_PURPOSE, { sub: user.id, nonce }, EMAIL_VERIFICATION_TTL);
+    const link = `${PUBLIC_API_URL}/users/verify?token=${encodeURIComponent(token)}`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Confirm your email address',
+        text: `Open this link to confirm your email address:\n\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL}.`
+    });
+}
+
+/**
+ * Mark the user from a verification link as verified
+ * @param {string} token - Token from the verification link
+ * @returns {Promise<object>} { user } or { error: 'invalid' | 'already-verified' }
+ */
+async function verifyEmail(token) {
+    const decoded = verifyPurposeToken(token, VERIFY_PURPOSE);
+
+    if (!decoded) {
+        return { error: 'invalid' };
+    }
+
+    // Checking and clearing the nonce together keeps the link single-use
+    return await User.runTransaction(async (tx) => {
+        const user = await User.findById(decoded.sub, tx);
+
+        if (!user) {
+            return { error: 'invalid' };
+        }
+
+        if (isEmailVerified(user)) {
+            return { error: 'already-verified' };
+        }
+
+        if (!user.verificationNonce || user.verificationNonce !== decoded.nonce) {
+            return { error: 'invalid' };
+        }
+
+        await User.update(user.id, {
+            emailVerified: true,
+            emailVerifiedAt: new Date().toISOString(),
+            verificationNonce: null
+        }, tx);
+
+        return { user };
+    });
+}
+
+/**
+ * Send a new verification link unless one was sent too recently
+ * @param {string} userId - Id of the logged-in user
+ * @returns {Promise<object>} {} on success, { error: 'already-verified' | 'not-found' }
+ * or { error: 'throttled', retryAfter } with the seconds to wait
+ */
+async function resendVerificationEmail(userId) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+        return { error: 'not-found' };
+    }
+
+    if (isEmailVerified(user)) {
+        return { error: 'already-verified' };
+    }
+
+    if (user.verificationSentAt) {
+        const elapsed = (Date.now() - Date.parse(user.verificationSentAt)) / 1000;
+
+        if (elapsed < VERIFICATION_RESEND_INTERVAL_SECONDS) {
+            return { error: 'throttled', retryAfter: Math.ceil(VERIFICATION_RESEND_INTERVAL_SECONDS - elapsed) };
+        }
+    }
+
+    await sendVerificationEmail(user);
+
+    return {};
+}
+
+module.exports = {
+    isEmailVerified,
+    sendVerificationEmail,
+    verifyEmail,
+    resendVerificationEmail
+};
@@ -0,0 +1,229 @@
+const { findAll } = require('../models/Item');
+const { SEARCH_INDEX_REFRESH_SECONDS } = require('../config');
+
+// Field weights: a hit in the name counts most, one in the description least
+const FIELD_WEIGHTS = {
+    name: 3,
+    category: 2,
+    description: 1
+};
+
+// Whole-word hits rank above hits that only match a word's prefix
+const EXACT_MATCH_BONUS = 2;
+
+/**
+ * Split text into lowercase search tokens, dropping accents and punctuation
+ * @param {string} text - Text to tokenize
+ * @returns {string[]} Tokens
+ */
+function tokenize(text) {
+    if (typeof text !== 'string') {
+        return [];
+    }
+
+    return text
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+// token -> Map(itemId -> weight)
+const postings = new Map();
+// itemId -> tokens indexed for that item, so it can be removed again
+const itemTokens = new Map();
+// Sorted list of every indexed token, used for prefix lookups
+const vocabulary = [];
+
+let buildPromise = null;
+let pendingChanges = null;
+// When the index was last loaded from the store
+let builtAt = 0;
+
+// Index of the first vocabulary entry >= token
+function lowerBound(token) {
+    let low = 0;
+    let high = vocabulary.length;
+
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (vocabulary[mid] < token) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    return low;
+}
+
+function addPosting(token, itemId, weight) {
+    if (!postings.has(token)) {
+        postings.set(token, new Map());
+        vocabulary.splice(lowerBound(token), 0, token);
+    }
+
+    const items = postings.get(token);
+    items.set(itemId, (items.get(itemId) || 0) + weight);
+}
+
+function removePosting(token, itemId) {
+    const items = postings.get(token);
+    if (!items) return;
+
+    items.delete(itemId);
+
+    if (items.size === 0) {
+        postings.delete(token);
+        vocabulary.splice(lowerBound(token), 1);
+    }
+}
+
+function applyRemove(itemId) {
+    const tokens = itemTokens.get(itemId);
+    if (!tokens) return;
+
+    for (const token of tokens) {
+        removePosting(token, itemId);
+    }
+    itemTokens.delete(itemId);
+}
+
+function applyIndex(item) {
+    applyRemove(item.id);
+
+    const tokens = new Set();
+
+    for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        for (const token of tokenize(item[field])) {
+            addPosting(token, item.id, weight);
+            tokens.add(token);
+        }
+    }
+
+    itemTokens.set(item.id, tokens);
+}
+
+// The index only sees this process's writes. Other instances and scripts such as
+// seedProducts write to the same store, so it is reloaded once it is this old.
+function isStale() {
+    return SEARCH_INDEX_REFRESH_SECONDS > 0 && Date.now() - builtAt > SEARCH_INDEX_REFRESH_SECONDS * 1000;
+}
+
+/**
+ * Build the index from the store on first use, and again once it is stale
+ * Changes made while a load is running are queued and replayed afterwards
+ * so they are not lost or overwritten by the older snapshot.
+ */
+function ensureIndex() {
+    if (!buildPromise || (!pendingChanges && isStale())) {
+        pendingChanges = [];
+
+        buildPromise = findAll()
+            .then((items) => {
+                postings.clear();
+                itemTokens.clear();
+                vocabulary.length = 0;
+                builtAt = Date.now();
+
+                // Trashed items are not searchable
+                items.filter((item) => !item.deletedAt).forEach(applyIndex);
+                pendingChanges.forEach((change) => change());
+                pendingChanges = null;
+            })
+            .catch((error) => {
+                // Allow the next search to retry the build
+                buildPromise = null;
+                pendingChanges = null;
+                throw error;
+            });
+    }
+
+    return buildPromise;
+}
+
+function applyChange(change) {
+    if (pendingChanges) {
+        pendingChanges.push(change);
+    } else if (buildPromise) {
+        change();
+    }
+    // Before the first search nothing is indexed yet; the build will read the change from the store
+}
+
+/**
+ * Add or refresh an item in the search index
+ * @param {object} item - Item with id, name, category and description
+ */
+function indexItem(item) {
+    applyChange(() => applyIndex(item));
+}
+
+/**
+ * Drop an item from the search index
+ * @param {string} itemId - Item id
+ */
+function removeItem(itemId) {
+    applyChange(() => applyRemove(itemId));
+}
+
+/**
+ * Search indexed items
+ * Every query word must match a word in the item's name, category or description, either
+ * exactly or as a prefix ("head" finds "Headphones"). Results are ranked by the
+ * sum of field weights, with exact word matches scoring higher than prefixes.
+ * @param {string} query - Free text query
+ * @returns {Promise<Array<{id: string, score: number}>>} Matches, best first
+ */
+async function search(query) {
+    await ensureIndex();
+
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) {
+        return [];
+    }
+
+    let scores = null;
+
+    for (const term of terms) {
+        const termScores = new Map();
+
+        for (let i = lowerBound(term); i < vocabulary.length && vocabulary[i].startsWith(term); i++) {
+            const token = vocabulary[i];
+            const multiplier = token === term ? EXACT_MATCH_BONUS : 1;
+
+            for (const [itemId, weight] of postings.get(token)) {
+                termScores.set(itemId, Math.max(termScores.get(itemId) || 0, weight * multiplier));
+            }
+        }
+
+        // Keep only items matching every term so far
+        if (scores === null) {
+            scores = termScores;
+        } else {
+            for (const [itemId, score] of scores) {
+                if (termScores.has(itemId)) {
+                    scores.set(itemId, score + termScores.get(itemId));
+                } else {
+                    scores.delete(itemId);
+                }
+            }
+        }
+
+        if (scores.size === 0) {
+            break;
+        }
+    }
+
+    return [...scores]
+        .map(([id, score]) => ({ id, score }))
+        .sort((a, b) => b.score - a.score || a.id.localeCompare(b.id));
+}
+
+module.exports = {
+    tokenize,
+    indexItem,
+    removeItem,
+    search
+};
@@ -0,0 +1,76 @@
+const { getRateLimitStore } = require('./rateLimiter');
+const {
+    LOGIN_MAX_FAILURES,
+    LOGIN_FAILURE_WINDOW_MINUTES,
+    LOGIN_LOCKOUT_SECONDS,
+    LOGIN_LOCKOUT_MAX_SECONDS
+} = require('../config');
+
+const MINUTE_MS = 60 * 1000;
+
+// LOGIN_MAX_FAILURES failed logins within the window lock the account. The first
+// lockout lasts LOGIN_LOCKOUT_SECONDS; each further one doubles, up to the maximum.
+
+// How long the number of past lockouts is remembered
+const LOCKOUT_MEMORY_MS = 24 * 60 * MINUTE_MS;
+
+const failuresKey = (email) => `login:failures:${email}`;
+const lockoutKey = (email) => `login:lockout:${email}`;
+
+/**
+ * Seconds until the account may try to log in again
+ * Lockouts are keyed by email whether or not the account exists, so they
+ * do not reveal which emails are registered.
+ * @param {string} email - Normalized email address
+ * @returns {Promise<number>} 0 if the account is not locked
+ */
+async function getLockoutSeconds(email) {
+    const lockout = await getRateLimitStore().get(lockoutKey(email));
+
+    if (!lockout || lockout.lockedUntil <= Date.now()) {
+        return 0;
+    }
+
+    return Math.ceil((lockout.lockedUntil - Date.now()) / 1000);
+}
+
+/**
+ * Record a failed login and lock the account when there were too many
+ * @param {string} email - Normalized email address
+ * @returns {Promise<number>} Lockout length in seconds, or 0 if not locked
+ */
+async function recordLoginFailure(email) {
+    const store = getRateLimitStore();
+    const windowMs = LOGIN_FAILURE_WINDOW_MINUTES * MINUTE_MS;
+    const { count } = await store.hit(failuresKey(email), windowMs, LOGIN_MAX_FAILURES);
+
+    if (count < LOGIN_MAX_FAILURES) {
+        return 0;
+    }
+
+    const previous = await store.get(lockoutKey(email));
+    const lockouts = (previous ? previous.lockouts : 0) + 1;
+    const seconds = Math.min(LOGIN_LOCKOUT_SECONDS * 2 ** (lockouts - 1), LOGIN_LOCKOUT_MAX_SECONDS);
+
+    await store.set(lockoutKey(email), { lockouts, lockedUntil: Date.now() + seconds * 1000 }, LOCKOUT_MEMORY_MS);
+    await store.reset(failuresKey(email));
+
+    return Math.ceil(seconds);
+}
+
+/**
+ * Forget failures and past lockouts after a successful login
+ * @param {string} email - Normalized email address
+ */
+async function clearLoginFailures(email) {
+    const store = getRateLimitStore();
+
+    await store.reset(failuresKey(email));
+    await store.remove(lockoutKey(email));
+}
+
+module.exports = {
+    getLockoutSeconds,
+    recordLoginFailure,
+    clearLoginFailures
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../logger');
+const { MAIL_TRANSPORT, MAIL_FROM, MAIL_OUTBOX_DIR } = require('../config');
+
+const log = logger.child({ module: 'mailer' });
+
+const OUTBOX_DIR = path.resolve(__dirname, '..', MAIL_OUTBOX_DIR);
+
+/**
+ * Built-in transports. A transport is an object with an async send(message)
+ * where message is { from, to, subject, text }.
+ * - console: log that a message was sent, and its body at debug level (for
+ *   development; config.js refuses it in production)
+ * - file: write each message as a JSON file in MAIL_OUTBOX_DIR
+ */
+const transports = {
+    console: {
+        async send(message) {
+            log.info('Mail sent to console', { to: message.to, subject: message.subject });
+            // The body holds verification links and reset tokens
+            log.debug('Mail body', { to: message.to, text: message.text });
+        }
+    },
+
+    file: {
+        async send(message) {
+            await fs.promises.mkdir(OUTBOX_DIR, { recursive: true });
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+            await fs.promises.writeFile(
+                path.join(OUTBOX_DIR, fileName),
+                JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2)
+            );
+        }
+    }
+};
+
+let activeTransport = transports[MAIL_TRANSPORT];
+
+/**
+ * Replace the transport, e.g. with an SMTP or API-based sender in production
+ * @param {object} transport - Object with an async send(message) method
+ */
+function setTransport(transport) {
+    activeTransport = transport;
+}
+
+/**
+ * Send an email through the active transport
+ * @param {object} message - { to, subject, text }
+ */
+async function sendMail({ to, subject, text }) {
+    await activeTransport.send({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = {
+    sendMail,
+    setTransport
+};
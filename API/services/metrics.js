@@ -0,0 +1,151 @@
+/**
+ * Minimal Prometheus metrics registry
+ * Counters and histograms are kept in process memory, so each instance
+ * reports its own numbers; Prometheus sums them across instances.
+ * Gauges are collected when /metrics is scraped.
+ */
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'metrics' });
+
+// Request latency buckets in seconds
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = [];
+
+// Label values are quoted strings with \, " and newlines escaped
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Only the declared labels are kept; the series key is their values in declared order
+function pickLabels(labelNames, labels) {
+    return Object.fromEntries(labelNames.map((name) => [name, String(labels[name] ?? '')]));
+}
+
+const seriesKey = (labels) => JSON.stringify(Object.values(labels));
+
+function register(metric) {
+    metrics.push(metric);
+    return metric;
+}
+
+/**
+ * Create a counter, a value that only goes up
+ * @param {string} name - Metric name, e.g. http_requests_total
+ * @param {string} help - Description shown by Prometheus
+ * @param {Array<string>} [labelNames] - Label names
+ * @returns {object} Counter with inc(labels, amount)
+ */
+function counter(name, help, labelNames = []) {
+    const series = new Map();
+
+    return register({
+        inc(values = {}, amount = 1) {
+            const labels = pickLabels(labelNames, values);
+            const key = seriesKey(labels);
+            const entry = series.get(key) || { labels, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        },
+
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+
+            for (const { labels, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labels)} ${value}`);
+            }
+
+            return lines;
+        }
+    });
+}
+
+/**
+ * Create a histogram of observed values, e.g. request durations
+ * @param {string} name - Metric name, e.g. http_request_duration_seconds
+ * @param {string} help - Description shown by Prometheus
+ * @param {Array<string>} [labelNames] - Label names
+ * @param {Array<number>} [buckets] - Upper bounds, in ascending order
+ * @returns {object} Histogram with observe(labels, value)
+ */
+function histogram(name, help, labelNames = [], buckets = LATENCY_BUCKETS) {
+    const series = new Map();
+
+    return register({
+        observe(values, value) {
+            const labels = pickLabels(labelNames, values);
+            const key = seriesKey(labels);
+            const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    entry.counts[index] += 1;
+                }
+            });
+            entry.sum += value;
+            entry.count += 1;
+            series.set(key, entry);
+        },
+
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+            }
+
+            return lines;
+        }
+    });
+}
+
+/**
+ * Create a gauge whose values are read when metrics are collected
+ * A failing collect function leaves the gauge empty instead of failing the
+ * whole scrape, so request metrics stay available when the datastore is down.
+ * @param {string} name - Metric name
+ * @param {string} help - Description shown by Prometheus
+ * @param {Function} collect - Async function returning [{ labels, value }]
+ */
+function gauge(name, help, collect) {
+    return register({
+        async render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+
+            try {
+                for (const { labels = {}, value } of await collect()) {
+                    lines.push(`${name}${formatLabels(labels)} ${value}`);
+                }
+            } catch(error) {
+                log.warn(`Could not collect ${name}`, { err: error });
+            }
+
+            return lines;
+        }
+    });
+}
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {Promise<string>} Metrics text
+ */
+async function renderMetrics() {
+    const blocks = await Promise.all(metrics.map((metric) => metric.render()));
+    return `${blocks.flat().join('\n')}\n`;
+}
+
+module.exports = {
+    counter,
+    histogram,
+    gauge,
+    renderMetrics
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const PasswordReset = require('../models/PasswordReset');
+const { hashPassword, hashToken } = require('../auth');
+const { sendMail } = require('./mailer');
+const { revokeAllSessions } = require('./tokens');
+const { getRateLimitStore } = require('./rateLimiter');
+const { PASSWORD_RESET_TTL_MINUTES, PASSWORD_RESET_INTERVAL_SECONDS } = require('../config');
+
+const MINUTE_MS = 60 * 1000;
+
+// Keyed by email whether or not the account exists, like login lockouts
+const throttleKey = (email) => `password-reset:${email}`;
+
+// Mark every outstanding token of a user as used, so none of them works any more
+async function retireResets(userId, now, tx) {
+    const outstanding = await PasswordReset.findUnusedByUser(userId, tx);
+
+    for (const reset of outstanding) {
+        await PasswordReset.update(reset.id, { usedAt: now }, tx);
+    }
+}
+
+/**
+ * Email a password reset token if an account exists for the address
+ * Nothing is reported back, so callers cannot tell whether the account exists.
+ * Only the newest token works, and at most one is sent per address every
+ * PASSWORD_RESET_INTERVAL_SECONDS; requests in between are ignored.
+ * @param {string} email - Normalized email address
+ */
+async function requestPasswordReset(email) {
+    const store = getRateLimitStore();
+
+    if (await store.get(throttleKey(email))) {
+        return;
+    }
+    await store.set(throttleKey(email), true, PASSWORD_RESET_INTERVAL_SECONDS * 1000);
+
+    const user = await User.findByEmail(email);
+
+    if (!user) {
+        return;
+    }
+
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    await User.runTransaction(async (tx) => {
+        await retireResets(user.id, new Date(now).toISOString(), tx);
+        await PasswordReset.create({
+            userId: user.id,
+            tokenHash: hashToken(token),
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + PASSWORD_RESET_TTL_MINUTES * MINUTE_MS).toISOString(),
+            usedAt: null
+        }, tx);
+    });
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Someone asked to reset the password of your account. If it was you, use this token to choose a new password:\n\n${token}\n\nIt expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and works once. If it was not you, ignore this email.`
+    });
+}
+
+/**
+ * Set a new password using a reset token, then sign the user out everywhere
+ * Every other outstanding token of the user is retired with the one used.
+ * @param {string} token - Reset token from the email
+ * @param {string} newPassword - New plain text password
+ * @returns {Promise<object>} { userId } or { error: 'invalid' }
+ */
+async function resetPassword(token, newPassword) {
+    const hashedPassword = await hashPassword(newPassword);
+
+    // Checking and consuming the token together keeps it single-use
+    const outcome = await User.runTransaction(async (tx) => {
+        const reset = await PasswordReset.findByToken(token, tx);
+
+        if (!reset || reset.usedAt || reset.expiresAt <= new Date().toISOString()) {
+            return { error: 'invalid' };
+        }
+
+        const user = await User.findById(reset.userId, tx);
+
+        if (!user) {
+            return { error: 'invalid' };
+        }
+
+        const now = new Date().toISOString();
+
+        await retireResets(user.id, now, tx);
+        await User.update(user.id, {
+            password: hashedPassword,
+            passwordChangedAt: now,
+            passwordResetRequired: false
+        }, tx);
+
+        return { userId: user.id };
+    });
+
+    if (!outcome.error) {
+        await revokeAllSessions(outcome.userId, 'password-reset');
+    }
+
+    return outcome;
+}
+
+module.exports = {
+    requestPasswordReset,
+    resetPassword
+};
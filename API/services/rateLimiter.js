@@ -0,0 +1,39 @@
+const { createMemoryRateLimitStore } = require('../storage/rateLimitMemory');
+
+// Counters live in memory unless another adapter is installed with setRateLimitStore
+let store = createMemoryRateLimitStore();
+
+/**
+ * Replace the counter store, e.g. with a Redis-backed adapter shared by several processes
+ * @param {object} adapter - Object implementing the interface of storage/rateLimitMemory.js
+ */
+function setRateLimitStore(adapter) {
+    store = adapter;
+}
+
+function getRateLimitStore() {
+    return store;
+}
+
+/**
+ * Count a request against a sliding window limit
+ * @param {string} key - Counter key, e.g. 'users:ip:127.0.0.1'
+ * @param {object} limit - { windowMs, max }
+ * @returns {Promise<object>} { allowed, limit, remaining, resetSeconds }
+ */
+async function consume(key, { windowMs, max }) {
+    const { count, resetMs } = await store.hit(key, windowMs, max);
+
+    return {
+        allowed: count <= max,
+        limit: max,
+        remaining: Math.max(0, max - count),
+        resetSeconds: Math.ceil(resetMs / 1000)
+    };
+}
+
+module.exports = {
+    setRateLimitStore,
+    getRateLimitStore,
+    consume
+};
@@ -0,0 +1,43 @@
+/**
+ * Who may register without an invite code
+ * - allowlist (default): only emails from REGISTRATION_DOMAINS
+ * - denylist: anyone except emails from REGISTRATION_DOMAINS
+ * - open: anyone
+ * REGISTRATION_DOMAINS is a comma separated list, e.g. "ase.ro,stud.ase.ro".
+ */
+const config = require('../config');
+
+const { REGISTRATION_MODE } = config;
+const REGISTRATION_DOMAINS = config.REGISTRATION_DOMAINS.map((domain) => domain.toLowerCase());
+
+/**
+ * Check an email address against the registration policy
+ * @param {string} email - Normalized email address
+ * @returns {boolean} True if the address may register without an invite
+ */
+function isEmailDomainAllowed(email) {
+    const domain = email.split('@').pop().toLowerCase();
+    const listed = REGISTRATION_DOMAINS.includes(domain);
+
+    switch (REGISTRATION_MODE) {
+        case 'open':
+            return true;
+        case 'denylist':
+            return !listed;
+        default:
+            return listed;
+    }
+}
+
+// Message shown to people whose address is refused
+function domainRejectionMessage() {
+    if (REGISTRATION_MODE === 'allowlist') {
+        return `Registration is limited to ${REGISTRATION_DOMAINS.map((domain) => `@${domain}`).join(', ')} addresses; ask an administrator for an invite code`;
+    }
+    return 'Registration is not allowed for this email domain; ask an administrator for an invite code';
+}
+
+module.exports = {
+    isEmailDomainAllowed,
+    domainRejectionMessage
+};
@@ -0,0 +1,83 @@
+const RefreshToken = require('../models/RefreshToken');
+const { revokeFamily } = require('./tokens');
+const { logger } = require('../logger');
+
+const log = logger.child({ module: 'sessions' });
+
+// lastSeenAt is only written when it is older than this, to avoid a write per request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// A session ends when it is revoked or its refresh token runs out unused
+function isSessionActive(family) {
+    return !family.revokedAt && (!family.expiresAt || family.expiresAt > new Date().toISOString());
+}
+
+/**
+ * Check the session an access token belongs to and record that it was seen
+ * @param {string} familyId - Session id (fid claim of the access token)
+ * @param {string} ip - Address the request came from
+ * @returns {Promise<boolean>} False if the session is unknown or has been revoked
+ */
+async function touchSession(familyId, ip) {
+    const family = await RefreshToken.findFamilyById(familyId);
+
+    if (!family || family.revokedAt) {
+        return false;
+    }
+
+    if (!family.lastSeenAt || Date.now() - Date.parse(family.lastSeenAt) > LAST_SEEN_RESOLUTION_MS) {
+        // Activity tracking must not fail or slow down the request itself
+        RefreshToken.updateFamily(familyId, { lastSeenAt: new Date().toISOString(), ip }).catch((error) => {
+            log.error('Error recording session activity', { err: error, familyId });
+        });
+    }
+
+    return true;
+}
+
+/**
+ * List the active sessions of a user, most recently seen first
+ * @param {string} userId - Id of the user
+ * @param {string} [currentFamilyId] - Session making the request, flagged as current
+ * @returns {Promise<Array>} [{ id, userAgent, ip, createdAt, lastSeenAt, expiresAt, current }]
+ */
+async function listSessions(userId, currentFamilyId) {
+    const families = await RefreshToken.findFamiliesByUser(userId);
+
+    return families
+        .filter(isSessionActive)
+        .map((family) => ({
+            id: family.id,
+            userAgent: family.userAgent || null,
+            ip: family.ip || null,
+            createdAt: family.createdAt,
+            lastSeenAt: family.lastSeenAt || family.createdAt,
+            expiresAt: family.expiresAt || null,
+            current: family.id === currentFamilyId
+        }))
+        .sort((a, b) => b.lastSeenAt.localeCompare(a.lastSeenAt));
+}
+
+/**
+ * Sign out one session of a user
+ * @param {string} userId - Id of the user
+ * @param {string} familyId - Session to revoke
+ * @returns {Promise<boolean>} False if the user has no such active session
+ */
+async function revokeSession(userId, familyId) {
+    const family = await RefreshToken.findFamilyById(familyId);
+
+    if (!family || family.userId !== userId || !isSessionActive(family)) {
+        return false;
+    }
+
+    await revokeFamily(familyId, 'signed-out');
+
+    return true;
+}
+
+module.exports = {
+    touchSession,
+    listSessions,
+    revokeSession
+};
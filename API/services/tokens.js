@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const User = require('../models/User');
+const { generateToken, hashToken, getTokenExpiry } = require('../auth');
+const { DEFAULT_ROLE } = require('../permissions');
+const { REFRESH_TOKEN_TTL_DAYS } = require('../config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Refresh tokens are "<record id>.<secret>"; only a hash of the secret is stored
+function parseRefreshToken(refreshToken) {
+    const [id, secret, ...rest] = String(refreshToken).split('.');
+
+    if (!id || !secret || rest.length > 0) {
+        return null;
+    }
+
+    return { id, secret };
+}
+
+// When a refresh token issued now stops working
+function refreshExpiry() {
+    return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * Issue an access token and a refresh token in an existing family
+ * @param {object} user - Stored user
+ * @param {string} familyId - Refresh token family
+ * @param {object} tx - Store transaction
+ * @returns {Promise<object>} { token, refreshToken }
+ */
+async function issueTokens(user, familyId, tx) {
+    const accessTokenId = crypto.randomUUID();
+    const token = generateToken({
+        id: user.id,
+        email: user.email,
+        role: user.role || DEFAULT_ROLE
+    }, { tokenId: accessTokenId, familyId });
+
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const id = await RefreshToken.createToken({
+        familyId,
+        userId: user.id,
+        secretHash: hashToken(secret),
+        createdAt: new Date().toISOString(),
+        expiresAt: refreshExpiry(),
+        usedAt: null,
+        // Remembered so the access token can be denylisted if the family is revoked
+        accessTokenId,
+        accessExpiresAt: getTokenExpiry(token)
+    }, tx);
+
+    return { token, refreshToken: `${id}.${secret}` };
+}
+
+/**
+ * Mark a family revoked and denylist the access tokens issued in it
+ * All reads (the family's tokens) must already have been done by the caller.
+ */
+async function revokeFamilyTokens(familyId, familyTokens, reason, tx) {
+    const now = new Date().toISOString();
+
+    await RefreshToken.updateFamily(familyId, { revokedAt: now, revokedReason: reason }, tx);
+
+    for (const record of familyTokens) {
+        if (record.accessExpiresAt > now) {
+            await RevokedToken.revoke(record.accessTokenId, record.accessExpiresAt, tx);
+        }
+    }
+}
+
+/**
+ * Start a new login: create a token family and its first token pair
+ * The family doubles as the session shown in the user's list of devices.
+ * @param {object} user - Stored user
+ * @param {object} [client] - { userAgent, ip } of the device logging in
+ * @returns {Promise<object>} { token, refreshToken }
+ */
+async function startSession(user, { userAgent = null, ip = null } = {}) {
+    return await RefreshToken.runTransaction(async (tx) => {
+        const now = new Date().toISOString();
+        const familyId = await RefreshToken.createFamily({
+            userId: user.id,
+            userAgent,
+            ip,
+            createdAt: now,
+            lastSeenAt: now,
+            expiresAt: refreshExpiry(),
+            revokedAt: null
+        }, tx);
+
+        return await issueTokens(user, familyId, tx);
+    });
+}
+
+/**
+ * Exchange a refresh token for a new token pair
+ * Each refresh token works once. Presenting one that was already used means it
+ * was copied, so the whole family is revoked and both parties are signed out.
+ * @param {string} refreshToken - Refresh token from the client
+ * @param {object} [client] - { ip } of the device refreshing
+ * @returns {Promise<object>} { token, refreshToken, user } or { error } where error
+ *   is 'invalid', 'expired', 'revoked' or 'reused'
+ */
+async function rotateRefreshToken(refreshToken, { ip = null } = {}) {
+    const parsed = parseRefreshToken(refreshToken);
+
+    if (!parsed) {
+        return { error: 'invalid' };
+    }
+
+    return await RefreshToken.runTransaction(async (tx) => {
+        const record = await RefreshToken.findTokenById(parsed.id, tx);
+
+        if (!record || record.secretHash !== hashToken(parsed.secret)) {
+            return { error: 'invalid' };
+        }
+
+        const family = await RefreshToken.findFamilyById(record.familyId, tx);
+
+        if (!family || family.revokedAt) {
+            return { error: 'revoked' };
+        }
+
+        if (record.usedAt) {
+            const familyTokens = await RefreshToken.findTokensByFamily(record.familyId, tx);
+            await revokeFamilyTokens(record.familyId, familyTokens, 'reuse', tx);
+            return { error: 'reused' };
+        }
+
+        if (record.expiresAt <= new Date().toISOString()) {
+            return { error: 'expired' };
+        }
+
+        const user = await User.findById(record.userId, tx);
+
+        if (!user) {
+            return { error: 'invalid' };
+        }
+
+        // Disabling an account revokes its families; this also covers a refresh racing with that
+        if (user.disabled) {
+            return { error: 'revoked' };
+        }
+
+        const now = new Date().toISOString();
+
+        await RefreshToken.updateToken(parsed.id, { usedAt: now }, tx);
+        // Every refresh keeps the session alive for another full refresh token lifetime
+        await RefreshToken.updateFamily(record.familyId, { lastSeenAt: now, ip, expiresAt: refreshExpiry() }, tx);
+        const tokens = await issueTokens(user, record.familyId, tx);
+
+        return { ...tokens, user };
+    });
+}
+
+/**
+ * Revoke a token family, signing out the login it belongs to
+ * @param {string} familyId - Refresh token family
+ * @param {string} reason - Why it was revoked, e.g. 'logout'
+ */
+async function revokeFamily(familyId, reason) {
+    await RefreshToken.runTransaction(async (tx) => {
+        const family = await RefreshToken.findFamilyById(familyId, tx);
+
+        if (!family || family.revokedAt) {
+            return;
+        }
+
+        const familyTokens = await RefreshToken.findTokensByFamily(familyId, tx);
+        await revokeFamilyTokens(familyId, familyTokens, reason, tx);
+    });
+}
+
+/**
+ * Revoke every token family of a user, signing them out on all devices
+ * @param {string} userId - Id of the user
+ * @param {string} reason - Why the sessions were revoked, e.g. 'password-reset'
+ * @param {object} [options]
+ * @param {string} [options.except] - Family to keep, e.g. the login making the request
+ */
+async function revokeAllSessions(userId, reason, { except } = {}) {
+    const userFamilies = await RefreshToken.findFamiliesByUser(userId);
+
+    for (const family of userFamilies) {
+        if (!family.revokedAt && family.id !== except) {
+            await revokeFamily(family.id, reason);
+        }
+    }
+}
+
+/**
+ * Denylist a single access token until it expires
+ * @param {object} decoded - Verified token payload (req.user)
+ */
+async function revokeAccessToken(decoded) {
+    if (decoded.jti) {
+        await RevokedToken.revoke(decoded.jti, new Date(decoded.exp * 1000).toISOString());
+    }
+}
+
+module.exports = {
+    startSession,
+    rotateRefreshToken,
+    revokeFamily,
+    revokeAllSessions,
+    revokeAccessToken
+};
@@ -0,0 +1,74 @@
+const { findTrashedBefore, findById, remove, runTransaction } = require('../models/Item');
+const Audit = require('../models/Audit');
+const { diffFields } = require('../utils/diff');
+const { logger } = require('../logger');
+const { TRASH_RETENTION_DAYS, TRASH_PURGE_INTERVAL_MINUTES } = require('../config');
+
+const log = logger.child({ module: 'trashPurger' });
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Permanently delete items that have been in the trash longer than the retention period
+ * @returns {Promise<number>} Number of purged items
+ */
+async function purgeExpiredItems() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS).toISOString();
+    const expired = await findTrashedBefore(cutoff);
+    let purged = 0;
+
+    for (const item of expired) {
+        const removed = await runTransaction(async (tx) => {
+            // The item may have been restored, or deleted again, since it was listed.
+            // The audit entry describes the version read here, which is the one removed.
+            const current = await findById(item.id, tx);
+
+            if (!current || !current.deletedAt || current.deletedAt >= cutoff) {
+                return false;
+            }
+
+            await Audit.record({
+                itemId: item.id,
+                action: 'purge',
+                actorId: 'system',
+                actorEmail: null,
+                changes: diffFields(current, null)
+            }, tx);
+            await remove(item.id, tx);
+            return true;
+        });
+
+        if (removed) {
+            purged += 1;
+        }
+    }
+
+    if (purged > 0) {
+        log.info(`Purged ${purged} item(s) trashed before ${cutoff}`, { purged, cutoff });
+    }
+
+    return purged;
+}
+
+/**
+ * Run purgeExpiredItems now and then on a fixed interval
+ * The timer does not keep the process alive on its own.
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+function startTrashPurger() {
+    const run = () => {
+        purgeExpiredItems().catch((error) => {
+            log.error('Error purging trashed items', { err: error });
+        });
+    };
+
+    run();
+    const timer = setInterval(run, TRASH_PURGE_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    purgeExpiredItems,
+    startTrashPurger
+};
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { hashToken, generatePurposeToken, verifyPurposeToken } = require('../auth');
+const { generateSecret, verifyTotp, otpauthUri } = require('../utils/totp');
+const { TOTP_ISSUER, TWO_FACTOR_CHALLENGE_TTL } = require('../config');
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_PURPOSE = '2fa-login';
+
+// Random code such as "3f9a1-c07e2"; each works once when the authenticator is lost
+function generateRecoveryCode() {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+}
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+function isTwoFactorEnabled(user) {
+    return Boolean(user.twoFactorEnabled);
+}
+
+/**
+ * Start enrollment: store a pending secret until the user proves their app has it
+ * @param {object} user - Stored user
+ * @returns {Promise<object>} { secret, otpauthUri } or { error: 'already-enabled' }
+ */
+async function beginEnrollment(user) {
+    if (isTwoFactorEnabled(user)) {
+        return { error: 'already-enabled' };
+    }
+
+    const secret = generateSecret();
+
+    await User.update(user.id, { twoFactorPendingSecret: secret });
+
+    return {
+        secret,
+        otpauthUri: otpauthUri({ secret, account: user.email, issuer: TOTP_ISSUER })
+    };
+}
+
+/**
+ * Finish enrollment with a first code from the app and create recovery codes
+ * @param {string} userId - Id of the logged-in user
+ * @param {string} code - Current TOTP code
+ * @returns {Promise<object>} { recoveryCodes } (plain, shown once) or { error }
+ * where error is 'not-found', 'already-enabled', 'not-started' or 'invalid-code'
+ */
+async function confirmEnrollment(userId, code) {
+    const recoveryCodes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+    return await User.runTransaction(async (tx) => {
+        const user = await User.findById(userId, tx);
+
+        // The account may have been deleted while its access token is still valid
+        if (!user) {
+            return { error: 'not-found' };
+        }
+
+        if (isTwoFactorEnabled(user)) {
+            return { error: 'already-enabled' };
+        }
+
+        if (!user.twoFactorPendingSecret) {
+            return { error: 'not-started' };
+        }
+
+        const step = verifyTotp(user.twoFactorPendingSecret, code);
+
+        if (step === null) {
+            return { error: 'invalid-code' };
+        }
+
+        await User.update(user.id, {
+            twoFactorEnabled: true,
+            twoFactorSecret: user.twoFactorPendingSecret,
+            twoFactorPendingSecret: null,
+            twoFactorLastStep: step,
+            twoFactorRecoveryCodes: recoveryCodes.map((recoveryCode) => hashToken(recoveryCode)),
+            twoFactorEnabledAt: new Date().toISOString()
+        }, tx);
+
+        return { recoveryCodes };
+    });
+}
+
+/**
+ * Check a second factor: a TOTP code or an unused recovery code
+ * A TOTP code is rejected if its time step was already used, and a recovery
+ * code is removed once used, so neither can be replayed.
+ * @param {string} userId - Id of the user logging in
+ * @param {object} factor - { code } or { recoveryCode }
+ * @returns {Promise<object>} { user, usedRecoveryCode, recoveryCodesLeft } or { error: 'invalid-code' }
+ */
+async function verifySecondFactor(userId, { code, recoveryCode }) {
+    return await User.runTransaction(async (tx) => {
+        const user = await User.findById(userId, tx);
+
+        if (!user || !isTwoFactorEnabled(user)) {
+            return { error: 'invalid-code' };
+        }
+
+        if (recoveryCode) {
+            const codeHash = hashToken(normalizeRecoveryCode(recoveryCode));
+            const remaining = (user.twoFactorRecoveryCodes || []).filter((hash) => hash !== codeHash);
+
+            if (remaining.length === (user.twoFactorRecoveryCodes || []).length) {
+                return { error: 'invalid-code' };
+            }
+
+            await User.update(user.id, { twoFactorRecoveryCodes: remaining }, tx);
+
+            return { user, usedRecoveryCode: true, recoveryCodesLeft: remaining.length };
+        }
+
+        const step = verifyTotp(user.twoFactorSecret, code, { afterStep: user.twoFactorLastStep ?? -1 });
+
+        if (step === null) {
+            return { error: 'invalid-code' };
+        }
+
+        await User.update(user.id, { twoFactorLastStep: step }, tx);
+
+        return { user, usedRecoveryCode: false };
+    });
+}
+
+/**
+ * Create the token that proves the password step of a login succeeded
+ * @param {object} user - Stored user
+ * @returns {string} Short-lived challenge token
+ */
+function createLoginChallenge(user) {
+    return generatePurposeToken(CHALLENGE_PURPOSE, { sub: user.id }, TWO_FACTOR_CHALLENGE_TTL);
+}
+
+/**
+ * Read a challenge token from createLoginChallenge
+ * @param {string} token - Challenge token
+ * @returns {string|null} User id, or null if the token is invalid or expired
+ */
+function readLoginChallenge(token) {
+    const decoded = verifyPurposeToken(token, CHALLENGE_PURPOSE);
+    return decoded ? decoded.sub : null;
+}
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes
+ * @param {string} userId - Id of the user
+ */
+async function disableTwoFactor(userId) {
+    await User.update(userId, {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorLastStep: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorEnabledAt: null
+    });
+}
+
+module.exports = {
+    isTwoFactorEnabled,
+    beginEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    createLoginChallenge,
+    readLoginChallenge,
+    disableTwoFactor
+};
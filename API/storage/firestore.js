@@ -0,0 +1,171 @@
+const path = require('path');
+
+/**
+ * Whether Firestore can address a document with this id
+ * ref.doc() throws for ids containing '/', '.' or '..', and ids of the form
+ * __x__ are reserved. Lookups by such ids (usually a malformed URL) report
+ * "not found" like the other backends instead of failing.
+ */
+function isValidDocumentId(id) {
+    return typeof id === 'string'
+        && id.length > 0
+        && id.length <= 1500
+        && !id.includes('/')
+        && id !== '.'
+        && id !== '..'
+        && !/^__.*__$/.test(id);
+}
+
+/**
+ * Create a document store backed by Cloud Firestore
+ * firebase-admin is only loaded here so the other backends run without credentials
+ * @param {string} serviceAccountPath - Path to the service account JSON key
+ * @returns {object} Store exposing collection(name)
+ */
+function createFirestoreStore(serviceAccountPath) {
+    const admin = require('firebase-admin');
+
+    // Initialize Firebase Admin with service account credentials
+    admin.initializeApp({
+        credential: admin.credential.cert(require(path.resolve(serviceAccountPath)))
+    });
+
+    const firestore = admin.firestore();
+
+    const toDoc = (doc) => ({ id: doc.id, ...doc.data() });
+
+    function collection(name) {
+        const ref = firestore.collection(name);
+
+        return {
+            findAll: async () => {
+                const snapshot = await ref.get();
+                return snapshot.docs.map(toDoc);
+            },
+
+            findById: async (id) => {
+                if (!isValidDocumentId(id)) return null;
+                const doc = await ref.doc(id).get();
+                return doc.exists ? toDoc(doc) : null;
+            },
+
+            findWhere: async (field, value) => {
+                const snapshot = await ref.where(field, '==', value).get();
+                return snapshot.docs.map(toDoc);
+            },
+
+            query: async ({ where = [], orderBy, direction = 'asc', startAfter, limit } = {}) => {
+                let query = ref;
+
+                for (const [field, op, value] of where) {
+                    query = query.where(field, op, value);
+                }
+
+                // Order by document id as a tie-breaker so cursors are unambiguous
+                if (orderBy) {
+                    query = query.orderBy(orderBy, direction);
+                }
+                query = query.orderBy(admin.firestore.FieldPath.documentId(), direction);
+
+                if (startAfter) {
+                    query = orderBy ? query.startAfter(...startAfter) : query.startAfter(startAfter[1]);
+                }
+
+                if (limit !== undefined) {
+                    query = query.limit(limit);
+                }
+
+                const snapshot = await query.get();
+                return snapshot.docs.map(toDoc);
+            },
+
+            count: async (where = []) => {
+                let query = ref;
+
+                for (const [field, op, value] of where) {
+                    query = query.where(field, op, value);
+                }
+
+                const snapshot = await query.count().get();
+                return snapshot.data().count;
+            },
+
+            create: async (data) => {
+                const docRef = await ref.add(data);
+                return docRef.id;
+            },
+
+            update: async (id, data) => {
+                const docRef = ref.doc(id);
+                await docRef.update(data);
+                return toDoc(await docRef.get());
+            },
+
+            set: async (id, data) => {
+                const docRef = ref.doc(id);
+                await docRef.set(data);
+                return toDoc(await docRef.get());
+            },
+
+            remove: async (id) => {
+                await ref.doc(id).delete();
+            }
+        };
+    }
+
+    /**
+     * Run reads and writes atomically in a Firestore transaction
+     * Same contract as the memory store: tx.collection(name) can read
+     * (findById, findWhere) and write (create, set, update, remove), and all
+     * reads must happen before the first write. Firestore may run the callback
+     * more than once when documents change underneath it.
+     * @param {Function} fn - async (tx) => result
+     * @returns {Promise<*>} Whatever the callback returns
+     */
+    function runTransaction(fn) {
+        return firestore.runTransaction((transaction) => {
+            const tx = {
+                collection(name) {
+                    const ref = firestore.collection(name);
+
+                    return {
+                        findById: async (id) => {
+                            if (!isValidDocumentId(id)) return null;
+                            const doc = await transaction.get(ref.doc(id));
+                            return doc.exists ? toDoc(doc) : null;
+                        },
+
+                        findWhere: async (field, value) => {
+                            const snapshot = await transaction.get(ref.where(field, '==', value));
+                            return snapshot.docs.map(toDoc);
+                        },
+
+                        create: (data) => {
+                            const docRef = ref.doc();
+                            transaction.create(docRef, data);
+                            return docRef.id;
+                        },
+
+                        set: (id, data) => {
+                            transaction.set(ref.doc(id), data);
+                        },
+
+                        update: (id, data) => {
+                            transaction.update(ref.doc(id), data);
+                        },
+
+                        remove: (id) => {
+                            transaction.delete(ref.doc(id));
+                        }
+                    };
+                }
+            };
+
+            return fn(tx);
+        });
+    }
+
+    return { collection, runTransaction, firestore };
+}
+
+module.exports = { createFirestoreStore };
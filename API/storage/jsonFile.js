@@ -0,0 +1,49 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memory');
+
+/**
+ * Read the persisted data file, returning an empty dataset if it does not exist yet
+ * @param {string} filePath - Path to the JSON data file
+ * @returns {object} Map of collection name to { id: data } documents
+ */
+function loadData(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return {};
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Create a document store persisted to a single JSON file
+ * All data is held in memory and the whole file is rewritten after each change.
+ * Writes go to a temporary file first and are renamed into place so a crash
+ * never leaves a half-written file behind.
+ * @param {string} filePath - Path to the JSON data file
+ * @returns {object} Store exposing collection(name)
+ */
+function createJsonFileStore(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+
+    // Chain writes so concurrent changes are flushed one at a time, in order
+    let pendingWrite = Promise.resolve();
+
+    const writeFile = async (data) => {
+        const tempPath = `${resolvedPath}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+        await fs.promises.rename(tempPath, resolvedPath);
+    };
+
+    const persist = (data) => {
+        pendingWrite = pendingWrite.then(() => writeFile(data));
+        return pendingWrite;
+    };
+
+    return createMemoryStore({
+        initialData: loadData(resolvedPath),
+        onChange: persist
+    });
+}
+
+module.exports = { createJsonFileStore };
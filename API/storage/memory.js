@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+
+const ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+/**
+ * Generate a random 20 character document id, the same shape Firestore uses
+ * @returns {string} Document id
+ */
+function generateId() {
+    const bytes = crypto.randomBytes(20);
+    let id = '';
+    for (const byte of bytes) {
+        id += ID_ALPHABET[byte % ID_ALPHABET.length];
+    }
+    return id;
+}
+
+// Documents are copied in and out so callers can never mutate stored state
+const clone = (data) => JSON.parse(JSON.stringify(data));
+
+const compareValues = (a, b) => {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+};
+
+const operators = {
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    'in': (a, b) => b.includes(a)
+};
+
+/**
+ * Check a document against a list of [field, operator, value] filters
+ * Like Firestore, a document missing a filtered field never matches
+ */
+const matchesFilters = (data, where) => {
+    return where.every(([field, op, value]) => {
+        if (!operators[op]) {
+            throw new Error(`Unsupported query operator "${op}"`);
+        }
+        return data[field] !== undefined && operators[op](data[field], value);
+    });
+};
+
+/**
+ * Create an in-memory document store
+ * Data lives in plain Maps and is lost when the process exits
+ * @param {object} [options]
+ * @param {object} [options.initialData] - Map of collection name to { id: data } documents
+ * @param {Function} [options.onChange] - Called with the full data snapshot after every write
+ * @returns {object} Store exposing collection(name)
+ */
+function createMemoryStore({ initialData = {}, onChange } = {}) {
+    const collections = new Map();
+
+    for (const [name, docs] of Object.entries(initialData)) {
+        collections.set(name, new Map(Object.entries(clone(docs))));
+    }
+
+    const getDocs = (name) => {
+        if (!collections.has(name)) {
+            collections.set(name, new Map());
+        }
+        return collections.get(name);
+    };
+
+    const snapshot = () => {
+        const data = {};
+        for (const [name, docs] of collections) {
+            data[name] = Object.fromEntries(docs);
+        }
+        return data;
+    };
+
+    const changed = async () => {
+        if (onChange) {
+            await onChange(snapshot());
+        }
+    };
+
+    const toDoc = (id, data) => ({ id, ...clone(data) });
+
+    // Writes and transactions run one at a time, so a transaction never sees
+    // another write land between its reads and its commit
+    let queue = Promise.resolve();
+
+    const exclusive = (fn) => {
+        const run = queue.then(fn);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const assertExists = (name, docs, id) => {
+        if (!docs.has(id)) {
+            throw new Error(`No document to update: ${name}/${id}`);
+        }
+    };
+
+    const readers = (docs) => ({
+        findById: async (id) => {
+            return docs.has(id) ? toDoc(id, docs.get(id)) : null;
+        },
+
+        findWhere: async (field, value) => {
+            return [...docs]
+                .filter(([, data]) => data[field] === value)
+                .map(([id, data]) => toDoc(id, data));
+        }
+    });
+
+    function collection(name) {
+        const docs = getDocs(name);
+
+        return {
+            ...readers(docs),
+
+            findAll: async () => {
+                return [...docs].map(([id, data]) => toDoc(id, data));
+            },
+
+            /**
+             * Run a filtered, ordered and paginated query
+             * Results are ordered by orderBy then by id, so startAfter ([value, id] of
+             * the last document of the previous page) is always unambiguous.
+             * @param {object} [options]
+             * @param {Array} [options.where] - List of [field, operator, value] filters
+             * @param {string} [options.orderBy] - Field to sort by (documents without it are skipped)
+             * @param {string} [options.direction] - 'asc' or 'desc'
+             * @param {Array} [options.startAfter] - [value, id] cursor to resume after
+             * @param {number} [options.limit] - Maximum number of documents to return
+             * @returns {Promise<Array>} Matching documents
+             */
+            query: async ({ where = [], orderBy, direction = 'asc', startAfter, limit } = {}) => {
+                const sign = direction === 'desc' ? -1 : 1;
+                const compare = ([idA, a], [idB, b]) => {
+                    const byField = orderBy ? compareValues(a[orderBy], b[orderBy]) : 0;
+                    return sign * (byField || compareValues(idA, idB));
+                };
+
+                let results = [...docs]
+                    .filter(([, data]) => matchesFilters(data, where))
+                    .filter(([, data]) => !orderBy || data[orderBy] !== undefined)
+                    .sort(compare);
+
+                if (startAfter) {
+                    const [value, id] = startAfter;
+                    const cursor = [id, orderBy ? { [orderBy]: value } : {}];
+                    results = results.filter((entry) => compare(entry, cursor) > 0);
+                }
+
+                if (limit !== undefined) {
+                    results = results.slice(0, limit);
+                }
+
+                return results.map(([id, data]) => toDoc(id, data));
+            },
+
+            count: async (where = []) => {
+                return [...docs.values()].filter((data) => matchesFilters(data, where)).length;
+            },
+
+            create: (data) => exclusive(async () => {
+                const id = generateId();
+                docs.set(id, clone(data));
+                await changed();
+                return id;
+            }),
+
+            update: (id, data) => exclusive(async () => {
+                assertExists(name, docs, id);
+                docs.set(id, { ...docs.get(id), ...clone(data) });
+                await changed();
+                return toDoc(id, docs.get(id));
+            }),
+
+            set: (id, data) => exclusive(async () => {
+                docs.set(id, clone(data));
+                await changed();
+                return toDoc(id, docs.get(id));
+            }),
+
+            remove: (id) => exclusive(async () => {
+                docs.delete(id);
+                await changed();
+            })
+        };
+    }
+
+    /**
+     * Run reads and writes atomically
+     * The callback receives a transaction whose collection(name) can read
+     * (findById, findWhere) and queue writes (create, set, update, remove).
+     * Queued writes are applied together only if the callback succeeds, so
+     * throwing rolls the whole transaction back. Do all reads before writes,
+     * as Firestore requires.
+     * @param {Function} fn - async (tx) => result
+     * @returns {Promise<*>} Whatever the callback returns
+     */
+    function runTransaction(fn) {
+        return exclusive(async () => {
+            const writes = [];
+
+            const tx = {
+                collection(name) {
+                    const docs = getDocs(name);
+
+                    return {
+                        ...readers(docs),
+
+                        create: (data) => {
+                            const id = generateId();
+                            writes.push(() => docs.set(id, clone(data)));
+                            return id;
+                        },
+
+                        set: (id, data) => {
+                            writes.push(() => docs.set(id, clone(data)));
+                        },
+
+                        update: (id, data) => {
+                            assertExists(name, docs, id);
+                            writes.push(() => docs.set(id, { ...docs.get(id), ...clone(data) }));
+                        },
+
+                        remove: (id) => {
+                            writes.push(() => docs.delete(id));
+                        }
+                    };
+                }
+            };
+
+            const result = await fn(tx);
+
+            if (writes.length > 0) {
+                writes.forEach((write) => write());
+                await changed();
+            }
+
+            return result;
+        });
+    }
+
+    return { collection, runTransaction };
+}
+
+module.exports = { createMemoryStore, generateId };
@@ -0,0 +1,106 @@
+/**
+ * In-memory counter store for rate limiting
+ *
+ * Adapter interface (every method is async, so a shared store such as Redis
+ * can be swapped in when the API runs on more than one process):
+ * - hit(key, windowMs, max): record a hit and return { count, resetMs } for the
+ *   sliding window ending now; resetMs is how long until the oldest hit leaves it.
+ *   Once count is over max further hits are not recorded, so a client flooding
+ *   a limit costs at most max + 1 timestamps; count stays over max until the
+ *   oldest hit leaves the window
+ * - peek(key, windowMs): same as hit without recording anything
+ * - reset(key): forget the hits of a key
+ * - get(key) / set(key, value, ttlMs) / remove(key): small expiring values,
+ *   used for account lockouts
+ */
+function createMemoryRateLimitStore({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    // key -> ascending hit timestamps
+    const hits = new Map();
+    // key -> { value, expiresAt }
+    const values = new Map();
+    // Longest window seen per key, so cleanup knows when hits are stale
+    const windows = new Map();
+
+    const windowState = (key, windowMs, now) => {
+        const timestamps = hits.get(key) || [];
+        hits.set(key, timestamps);
+
+        // Timestamps are ascending, so the expired ones are at the front
+        while (timestamps.length > 0 && timestamps[0] <= now - windowMs) {
+            timestamps.shift();
+        }
+        windows.set(key, Math.max(windows.get(key) || 0, windowMs));
+
+        return timestamps;
+    };
+
+    const result = (timestamps, windowMs, now) => ({
+        count: timestamps.length,
+        resetMs: timestamps.length ? timestamps[0] + windowMs - now : 0
+    });
+
+    // Drop keys without recent hits and expired values so memory stays bounded
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+
+        for (const [key, timestamps] of hits) {
+            const last = timestamps[timestamps.length - 1];
+            if (last === undefined || last <= now - windows.get(key)) {
+                hits.delete(key);
+                windows.delete(key);
+            }
+        }
+
+        for (const [key, entry] of values) {
+            if (entry.expiresAt <= now) {
+                values.delete(key);
+            }
+        }
+    }, cleanupIntervalMs);
+    cleanup.unref();
+
+    return {
+        async hit(key, windowMs, max = Infinity) {
+            const now = Date.now();
+            const timestamps = windowState(key, windowMs, now);
+
+            if (timestamps.length <= max) {
+                timestamps.push(now);
+            }
+
+            return result(timestamps, windowMs, now);
+        },
+
+        async peek(key, windowMs) {
+            const now = Date.now();
+
+            return result(windowState(key, windowMs, now), windowMs, now);
+        },
+
+        async reset(key) {
+            hits.delete(key);
+            windows.delete(key);
+        },
+
+        async get(key) {
+            const entry = values.get(key);
+
+            if (!entry || entry.expiresAt <= Date.now()) {
+                values.delete(key);
+                return null;
+            }
+
+            return entry.value;
+        },
+
+        async set(key, value, ttlMs) {
+            values.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+
+        async remove(key) {
+            values.delete(key);
+        }
+    };
+}
+
+module.exports = { createMemoryRateLimitStore };
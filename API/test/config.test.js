@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+// config.js reads the environment once when loaded, so each case loads it in a fresh process
+function loadConfig(env) {
+    const result = spawnSync(process.execPath, ['-e', `require(${JSON.stringify(path.join(__dirname, '..', 'config'))})`], {
+        env: { PATH: process.env.PATH, ...env },
+        encoding: 'utf8'
+    });
+
+    return { ok: result.status === 0, stderr: result.stderr };
+}
+
+const PRODUCTION = {
+    NODE_ENV: 'production',
+    JWT_SECRET: 'a'.repeat(32),
+    CORS_ORIGINS: 'https://shop.example.com',
+    PUBLIC_API_URL: 'https://api.example.com'
+};
+
+describe('config', () => {
+    it('accepts a complete production configuration', () => {
+        assert.equal(loadConfig({ ...PRODUCTION, MAIL_TRANSPORT: 'file' }).ok, true);
+    });
+
+    it('requires a mail transport in production', () => {
+        assert.match(loadConfig(PRODUCTION).stderr, /MAIL_TRANSPORT is required in production/);
+    });
+
+    it('refuses the console mail transport in production', () => {
+        assert.match(loadConfig({ ...PRODUCTION, MAIL_TRANSPORT: 'console' }).stderr, /MAIL_TRANSPORT cannot be console in production/);
+    });
+
+    it('defaults to the console mail transport in development', () => {
+        assert.equal(loadConfig({ NODE_ENV: 'development' }).ok, true);
+    });
+});
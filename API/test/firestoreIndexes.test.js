@@ -0,0 +1,85 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const db = require('../db');
+const { buildIndexes, indexForQuery, render, OUTPUT_FILE } = require('../scripts/firestoreIndexes');
+
+// Record every query and count the models send to the store; they take their
+// collections when loaded, so the store is wrapped before requiring them
+const recorded = [];
+const collection = db.collection;
+db.collection = (name) => {
+    const wrapped = collection(name);
+
+    return {
+        ...wrapped,
+        query: async (options) => {
+            recorded.push([name, options]);
+            return await wrapped.query(options);
+        },
+        count: async (where) => {
+            recorded.push([name, { where }]);
+            return await wrapped.count(where);
+        }
+    };
+};
+
+const Item = require('../models/Item');
+const User = require('../models/User');
+const Audit = require('../models/Audit');
+
+const subsets = (list) => list.reduce((all, entry) => all.concat(all.map((subset) => [...subset, entry])), [[]]);
+const page = { limit: 10 };
+
+describe('firestore.indexes.json', () => {
+    before(async () => {
+        const itemFilters = { price: { minPrice: 1, maxPrice: 5 }, category: { category: 'Phones' }, inStock: { inStock: true }, owner: { createdBy: 'u1' } };
+
+        for (const picked of subsets(Object.keys(itemFilters))) {
+            const filters = Object.assign({}, ...picked.map((name) => itemFilters[name]));
+
+            for (const sort of ['name', 'price', 'createdAt']) {
+                for (const order of ['asc', 'desc']) {
+                    await Item.findPage({ ...page, ...filters, sort, order });
+                }
+            }
+        }
+
+        // Trash, own and everyone's, and an admin's view of one user's items
+        await Item.findPage({ ...page, deleted: true, sort: 'deletedAt', order: 'desc' });
+        await Item.findPage({ ...page, deleted: true, createdBy: 'u1', sort: 'deletedAt', order: 'desc' });
+        for (const deleted of [false, true]) {
+            await Item.findPage({ ...page, deleted, createdBy: 'u1', sort: 'createdAt', order: 'desc' });
+        }
+        await Item.count();
+        await Item.count({ deleted: true });
+
+        const userFilters = { q: { q: 'a' }, role: { role: 'admin' }, disabled: { disabled: true } };
+        for (const picked of subsets(Object.keys(userFilters))) {
+            await User.findPage({ ...page, ...Object.assign({}, ...picked.map((name) => userFilters[name])) });
+        }
+
+        const auditFilters = { itemId: 'i1', targetUserId: 'u1', actorId: 'u2', action: 'update', from: '2024-01-01', to: '2024-12-31' };
+        for (const picked of subsets(Object.keys(auditFilters))) {
+            await Audit.findPage({ ...page, ...Object.fromEntries(picked.map((name) => [name, auditFilters[name]])) });
+        }
+    });
+
+    it('has an index for every query the models run', () => {
+        const available = new Set(buildIndexes().indexes.map((index) => JSON.stringify(index)));
+        const missing = recorded
+            .map(([name, options]) => indexForQuery(name, options))
+            .filter((index) => index && !available.has(JSON.stringify(index)));
+
+        assert.ok(recorded.length > 100);
+        assert.deepEqual(missing, []);
+    });
+
+    it('stays within the 200 composite indexes Firestore allows', () => {
+        assert.ok(buildIndexes().indexes.length <= 200);
+    });
+
+    it('matches the output of scripts/firestoreIndexes.js', () => {
+        assert.equal(fs.readFileSync(OUTPUT_FILE, 'utf8'), render(), 'run node scripts/firestoreIndexes.js');
+    });
+});
@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const Item = require('../models/Item');
+const itemSearch = require('../services/itemSearch');
+
+const ids = (matches) => matches.map((match) => match.id);
+
+describe('item search', () => {
+    let phone;
+    let leatherCase;
+
+    it('matches names, categories and descriptions, by word or prefix', async () => {
+        phone = await Item.create({ name: 'Galaxy Phone', category: 'Phones', description: 'Android handset', deletedAt: null });
+        leatherCase = await Item.create({ name: 'Leather case', category: 'Accessories', description: 'Fits the Galaxy phone', deletedAt: null });
+        await Item.create({ name: 'Old phone', category: 'Phones', deletedAt: new Date().toISOString() });
+
+        assert.deepEqual(ids(await itemSearch.search('accessories')), [leatherCase]);
+        assert.deepEqual(ids(await itemSearch.search('andr')), [phone]);
+        // Trashed items are left out
+        assert.deepEqual(ids(await itemSearch.search('phone')), [phone, leatherCase]);
+    });
+
+    it('ranks name hits above description hits', async () => {
+        const results = await itemSearch.search('galaxy');
+
+        assert.deepEqual(ids(results), [phone, leatherCase]);
+        assert.ok(results[0].score > results[1].score);
+    });
+
+    it('follows this process\'s writes at once', async () => {
+        itemSearch.indexItem({ id: leatherCase, name: 'Leather sleeve', category: 'Accessories' });
+        itemSearch.removeItem(phone);
+
+        assert.deepEqual(ids(await itemSearch.search('sleeve')), [leatherCase]);
+        assert.deepEqual(ids(await itemSearch.search('android')), []);
+    });
+
+    it('reloads from the store once stale, picking up writes made elsewhere', async (t) => {
+        // Written straight to the store, as another instance or a script would
+        const tablet = await Item.create({ name: 'Tablet', deletedAt: null });
+        assert.deepEqual(ids(await itemSearch.search('tablet')), []);
+
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 301 * 1000 });
+
+        assert.deepEqual(ids(await itemSearch.search('tablet')), [tablet]);
+        // The reload also brings back what the store holds for the removed item
+        assert.deepEqual(ids(await itemSearch.search('android')), [phone]);
+    });
+});
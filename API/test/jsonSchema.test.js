@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema, coerceParameter } = require('../utils/jsonSchema');
+
+const document = {
+    components: {
+        schemas: {
+            Item: {
+                type: 'object',
+                required: ['name'],
+                additionalProperties: false,
+                properties: {
+                    name: { type: 'string', minLength: 1, maxLength: 10 },
+                    price: { type: 'number', minimum: 0 },
+                    quantity: { type: ['integer', 'null'] },
+                    status: { enum: ['draft', 'published'] },
+                    tags: { type: 'array', items: { type: 'string' }, uniqueItems: true, maxItems: 2 }
+                }
+            }
+        }
+    }
+};
+
+const validate = (value, options) => validateSchema({ $ref: '#/components/schemas/Item' }, value, { document, ...options });
+
+describe('validateSchema', () => {
+    it('accepts a valid value', () => {
+        assert.deepEqual(validate({ name: 'Phone', price: 1.5, quantity: null, tags: ['a', 'b'] }), []);
+    });
+
+    it('reports every problem with its path', () => {
+        assert.deepEqual(validate({ price: -1, quantity: 1.5, tags: ['a', 'a', 1], color: 'red' }), [
+            { path: 'name', message: 'name is required' },
+            { path: 'price', message: 'price must be at least 0' },
+            { path: 'quantity', message: 'quantity must be of type integer or null' },
+            { path: 'tags', message: 'tags must have at most 2 item(s)' },
+            { path: 'tags', message: 'tags must not contain duplicates' },
+            { path: 'tags[2]', message: 'tags[2] must be of type string' },
+            { path: 'color', message: 'Unknown field: color' }
+        ]);
+    });
+
+    it('checks string lengths, enums and formats', () => {
+        assert.deepEqual(validate({ name: '', status: 'gone' }).map((error) => error.message), [
+            'name cannot be empty',
+            'status must be one of: draft, published'
+        ]);
+        assert.deepEqual(validateSchema({ type: 'string', format: 'email' }, 'nope', { label: 'Email' }), [
+            { path: '', message: 'Email must be a valid email address' }
+        ]);
+        assert.deepEqual(validateSchema({ type: 'string', format: 'date-time' }, '2024-05-01T10:00:00Z'), []);
+    });
+
+    it('names the whole value with its label', () => {
+        assert.deepEqual(validate([], { label: 'Request body' }), [
+            { path: '', message: 'Request body must be of type object' }
+        ]);
+    });
+
+    it('throws on references it cannot resolve', () => {
+        assert.throws(() => validateSchema({ $ref: '#/components/schemas/Missing' }, {}), /Unresolvable schema reference/);
+    });
+});
+
+describe('coerceParameter', () => {
+    it('converts numbers and booleans, and leaves anything else for validation', () => {
+        assert.equal(coerceParameter({ type: 'integer' }, '42'), 42);
+        assert.equal(coerceParameter({ type: 'boolean' }, 'false'), false);
+        assert.equal(coerceParameter({ type: 'integer' }, ''), '');
+        assert.equal(coerceParameter({ type: 'number' }, 'ten'), 'ten');
+    });
+});
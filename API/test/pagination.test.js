@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, queryPage } = require('../utils/pagination');
+const { createMemoryStore } = require('../storage/memory');
+
+describe('pagination cursors', () => {
+    it('round-trip through an opaque URL-safe token', () => {
+        const cursor = { sort: 'name', order: 'asc', value: 'Phone / 2 ü', id: 'abc' };
+        const token = encodeCursor(cursor);
+
+        assert.match(token, /^[A-Za-z0-9_-]+$/);
+        assert.deepEqual(decodeCursor(token), cursor);
+    });
+
+    it('decode malformed tokens to null', () => {
+        assert.equal(decodeCursor('not a cursor'), null);
+        assert.equal(decodeCursor(encodeCursor({ value: 1 })), null);
+        assert.equal(decodeCursor(encodeCursor({ id: 'abc' })), null);
+    });
+
+    it('walk every document exactly once, including ties on the sort field', async () => {
+        const items = createMemoryStore().collection('items');
+        for (const price of [3, 1, 2, 2, 2, 5, 4]) {
+            await items.create({ price });
+        }
+
+        const seen = [];
+        let after;
+        do {
+            const page = await queryPage(items, { where: [], sort: 'price', order: 'desc', limit: 2, after });
+            assert.equal(page.total, 7);
+            seen.push(...page.items);
+            after = page.nextCursor && decodeCursor(page.nextCursor);
+        } while (after);
+
+        assert.deepEqual(seen.map((item) => item.price), [5, 4, 3, 2, 2, 2, 1]);
+        assert.equal(new Set(seen.map((item) => item.id)).size, 7);
+    });
+});
@@ -0,0 +1,62 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mailer = require('../services/mailer');
+
+// Capture the tokens that would be emailed
+const sent = [];
+mock.method(mailer, 'sendMail', async (message) => {
+    sent.push(message);
+});
+
+const User = require('../models/User');
+const PasswordReset = require('../models/PasswordReset');
+const { hashToken } = require('../auth');
+const { requestPasswordReset, resetPassword } = require('../services/passwordReset');
+
+const lastToken = () => sent[sent.length - 1].text.match(/\n\n(\S+)\n\n/)[1];
+
+const createUser = async () => {
+    const email = `${Date.now()}-${Math.random()}@ase.ro`;
+    await User.create({ email, password: 'hash', role: 'editor' });
+    return email;
+};
+
+describe('password reset', () => {
+    it('sets the password with the emailed token, once', async () => {
+        const email = await createUser();
+        await requestPasswordReset(email);
+        const token = lastToken();
+
+        assert.ok((await resetPassword(token, 'new-password')).userId);
+        assert.deepEqual(await resetPassword(token, 'other-password'), { error: 'invalid' });
+    });
+
+    it('retires earlier tokens when a new one is sent', async () => {
+        const email = await createUser();
+        await requestPasswordReset(email);
+        const first = lastToken();
+        await requestPasswordReset(email);
+        const second = lastToken();
+
+        assert.deepEqual(await resetPassword(first, 'new-password'), { error: 'invalid' });
+        assert.ok((await resetPassword(second, 'new-password')).userId);
+    });
+
+    it('retires every outstanding token once one is used', async () => {
+        const email = await createUser();
+        await requestPasswordReset(email);
+        const token = lastToken();
+        // A token left over from before retiring existed, e.g. issued by another instance
+        const user = await User.findByEmail(email);
+        await PasswordReset.create({
+            userId: user.id,
+            tokenHash: hashToken('leftover'),
+            createdAt: new Date().toISOString(),
+            expiresAt: new Date(Date.now() + 60000).toISOString(),
+            usedAt: null
+        });
+
+        assert.ok((await resetPassword(token, 'new-password')).userId);
+        assert.deepEqual(await resetPassword('leftover', 'other-password'), { error: 'invalid' });
+    });
+});
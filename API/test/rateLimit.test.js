@@ -0,0 +1,48 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRateLimitStore } = require('../storage/rateLimitMemory');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('memory rate limit store', () => {
+    it('counts hits within the window', async () => {
+        const store = createMemoryRateLimitStore();
+
+        assert.equal((await store.hit('ip:1', 60000, 5)).count, 1);
+        assert.equal((await store.hit('ip:1', 60000, 5)).count, 2);
+        assert.equal((await store.hit('ip:2', 60000, 5)).count, 1);
+        assert.equal((await store.peek('ip:1', 60000)).count, 2);
+    });
+
+    it('stops recording a flooding client once it is over the limit', async () => {
+        const store = createMemoryRateLimitStore();
+        let last;
+
+        for (let i = 0; i < 10000; i++) {
+            last = await store.hit('ip:1', 60000, 5);
+        }
+
+        // count is the number of stored timestamps, so it shows the state stays bounded
+        assert.equal(last.count, 6);
+        assert.ok(last.resetMs > 0 && last.resetMs <= 60000);
+    });
+
+    it('lets the client in again once the window has passed', async () => {
+        const store = createMemoryRateLimitStore();
+
+        for (let i = 0; i < 100; i++) {
+            await store.hit('ip:1', 50, 2);
+        }
+        await sleep(60);
+
+        assert.equal((await store.hit('ip:1', 50, 2)).count, 1);
+    });
+
+    it('forgets the hits of a key on reset', async () => {
+        const store = createMemoryRateLimitStore();
+        await store.hit('ip:1', 60000, 5);
+        await store.reset('ip:1');
+
+        assert.equal((await store.peek('ip:1', 60000)).count, 0);
+    });
+});
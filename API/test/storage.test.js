@@ -0,0 +1,131 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore } = require('../storage/memory');
+const { createJsonFileStore } = require('../storage/jsonFile');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'store-test-'));
+after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+// Both backends are run through the same contract; Firestore needs a live project
+const backends = {
+    memory: () => createMemoryStore(),
+    jsonFile: () => createJsonFileStore(path.join(tempDir, `${Date.now()}-${Math.random()}.json`))
+};
+
+for (const [backend, createStore] of Object.entries(backends)) {
+    describe(`${backend} store`, () => {
+        let items;
+        let store;
+
+        beforeEach(() => {
+            store = createStore();
+            items = store.collection('items');
+        });
+
+        it('creates, reads, updates, replaces and removes documents', async () => {
+            const id = await items.create({ name: 'Phone', price: 10 });
+
+            assert.deepEqual(await items.findById(id), { id, name: 'Phone', price: 10 });
+            assert.deepEqual(await items.update(id, { price: 12 }), { id, name: 'Phone', price: 12 });
+            assert.deepEqual(await items.set(id, { name: 'Tablet' }), { id, name: 'Tablet' });
+
+            await items.remove(id);
+            assert.equal(await items.findById(id), null);
+        });
+
+        it('rejects updates of missing documents', async () => {
+            await assert.rejects(items.update('missing', { price: 1 }), /No document to update/);
+        });
+
+        it('never hands out its stored objects', async () => {
+            const id = await items.create({ tags: ['a'] });
+            const found = await items.findById(id);
+            found.tags.push('b');
+
+            assert.deepEqual((await items.findById(id)).tags, ['a']);
+        });
+
+        it('finds documents by field', async () => {
+            await items.create({ category: 'phones' });
+            await items.create({ category: 'tablets' });
+
+            const found = await items.findWhere('category', 'phones');
+            assert.deepEqual(found.map((item) => item.category), ['phones']);
+        });
+
+        it('filters, orders and pages queries, skipping documents without the fields', async () => {
+            for (const price of [30, 10, 20, 20]) {
+                await items.create({ price, deletedAt: null });
+            }
+            await items.create({ price: 5 });
+
+            const where = [['deletedAt', '==', null], ['price', '>=', 10]];
+            const all = await items.query({ where, orderBy: 'price', direction: 'desc' });
+            assert.deepEqual(all.map((item) => item.price), [30, 20, 20, 10]);
+            assert.equal(await items.count(where), 4);
+
+            const first = await items.query({ where, orderBy: 'price', limit: 2 });
+            const last = first[first.length - 1];
+            const rest = await items.query({ where, orderBy: 'price', startAfter: [last.price, last.id] });
+
+            assert.deepEqual([...first, ...rest].map((item) => item.id), [...all].reverse().map((item) => item.id));
+        });
+
+        it('rejects unknown query operators', async () => {
+            await items.create({ price: 1 });
+            await assert.rejects(items.query({ where: [['price', '~', 1]] }), /Unsupported query operator/);
+        });
+
+        it('applies transaction writes together and returns the callback result', async () => {
+            const id = await items.create({ stock: 1 });
+
+            const result = await store.runTransaction(async (tx) => {
+                const item = await tx.collection('items').findById(id);
+                tx.collection('items').update(id, { stock: item.stock - 1 });
+                tx.collection('audit').create({ itemId: id });
+                return 'done';
+            });
+
+            assert.equal(result, 'done');
+            assert.equal((await items.findById(id)).stock, 0);
+            assert.equal((await store.collection('audit').findAll()).length, 1);
+        });
+
+        it('rolls a transaction back when the callback throws', async () => {
+            const id = await items.create({ stock: 1 });
+
+            await assert.rejects(store.runTransaction(async (tx) => {
+                tx.collection('items').update(id, { stock: 0 });
+                throw new Error('abort');
+            }), /abort/);
+
+            assert.equal((await items.findById(id)).stock, 1);
+        });
+
+        it('runs transactions one at a time', async () => {
+            const id = await items.create({ count: 0 });
+            const increment = () => store.runTransaction(async (tx) => {
+                const item = await tx.collection('items').findById(id);
+                await new Promise((resolve) => setImmediate(resolve));
+                tx.collection('items').update(id, { count: item.count + 1 });
+            });
+
+            await Promise.all([increment(), increment(), increment()]);
+            assert.equal((await items.findById(id)).count, 3);
+        });
+    });
+}
+
+describe('jsonFile store', () => {
+    it('keeps its data across restarts', async () => {
+        const filePath = path.join(tempDir, 'restart.json');
+        const first = createJsonFileStore(filePath);
+        const id = await first.collection('items').create({ name: 'Phone' });
+
+        const second = createJsonFileStore(filePath);
+        assert.deepEqual(await second.collection('items').findById(id), { id, name: 'Phone' });
+    });
+});
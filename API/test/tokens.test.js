@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const { startSession, rotateRefreshToken } = require('../services/tokens');
+const jwt = require('jsonwebtoken');
+
+const createUser = async () => {
+    const id = await User.create({ email: `${Date.now()}-${Math.random()}@ase.ro`, password: 'hash', role: 'editor' });
+    return await User.findById(id);
+};
+
+describe('rotateRefreshToken', () => {
+    it('exchanges a refresh token for a new pair', async () => {
+        const user = await createUser();
+        const session = await startSession(user);
+        const rotated = await rotateRefreshToken(session.refreshToken);
+
+        assert.equal(rotated.error, undefined);
+        assert.equal(rotated.user.id, user.id);
+        assert.notEqual(rotated.refreshToken, session.refreshToken);
+    });
+
+    it('rejects malformed and unknown tokens', async () => {
+        const user = await createUser();
+        const { refreshToken } = await startSession(user);
+        const [id] = refreshToken.split('.');
+
+        assert.deepEqual(await rotateRefreshToken('garbage'), { error: 'invalid' });
+        assert.deepEqual(await rotateRefreshToken(`${id}.wrong-secret`), { error: 'invalid' });
+    });
+
+    it('revokes the whole family when a used token is presented again', async () => {
+        const user = await createUser();
+        const session = await startSession(user);
+        const rotated = await rotateRefreshToken(session.refreshToken);
+
+        assert.deepEqual(await rotateRefreshToken(session.refreshToken), { error: 'reused' });
+        // The token the legitimate client (or the thief) holds stops working too
+        assert.deepEqual(await rotateRefreshToken(rotated.refreshToken), { error: 'revoked' });
+
+        // And the access tokens issued in the family are denylisted
+        for (const { token } of [session, rotated]) {
+            assert.equal(await RevokedToken.isRevoked(jwt.decode(token).jti), true);
+        }
+    });
+
+    it('refuses to refresh a disabled account', async () => {
+        const user = await createUser();
+        const { refreshToken } = await startSession(user);
+        await User.update(user.id, { disabled: true });
+
+        assert.deepEqual(await rotateRefreshToken(refreshToken), { error: 'revoked' });
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { hotp, currentStep, verifyTotp, generateSecret, otpauthUri } = require('../utils/totp');
+
+// "12345678901234567890", the secret of the RFC 4226 and RFC 6238 test vectors
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+    it('matches the RFC 4226 HOTP vectors', () => {
+        const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+        expected.forEach((code, counter) => assert.equal(hotp(RFC_SECRET, counter), code));
+    });
+
+    it('matches the RFC 6238 SHA-1 vectors, truncated to 6 digits', () => {
+        const vectors = [
+            [59, '94287082'],
+            [1111111109, '07081804'],
+            [1111111111, '14050471'],
+            [1234567890, '89005924'],
+            [2000000000, '69279037'],
+            [20000000000, '65353130']
+        ];
+
+        for (const [seconds, code] of vectors) {
+            assert.equal(hotp(RFC_SECRET, currentStep(seconds * 1000)), code.slice(-6));
+        }
+    });
+
+    it('accepts the current code and one step of drift', (t) => {
+        // A fixed clock, so the test never straddles a step boundary
+        t.mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+        const secret = generateSecret();
+        const step = currentStep();
+
+        assert.equal(verifyTotp(secret, hotp(secret, step)), step);
+        assert.equal(verifyTotp(secret, hotp(secret, step - 1)), step - 1);
+        assert.equal(verifyTotp(secret, hotp(secret, step + 1)), step + 1);
+        assert.equal(verifyTotp(secret, hotp(secret, step - 2)), null);
+    });
+
+    it('rejects codes that were already used', () => {
+        const secret = generateSecret();
+        const step = currentStep();
+        const code = hotp(secret, step);
+        const usedStep = verifyTotp(secret, code);
+
+        assert.equal(verifyTotp(secret, code, { afterStep: usedStep }), null);
+    });
+
+    it('rejects malformed codes', () => {
+        const secret = generateSecret();
+
+        assert.equal(verifyTotp(secret, '12345'), null);
+        assert.equal(verifyTotp(secret, 'abcdef'), null);
+    });
+
+    it('builds an otpauth URI authenticator apps can import', () => {
+        assert.equal(
+            otpauthUri({ secret: RFC_SECRET, account: 'a@ase.ro', issuer: 'REST CRUD Demo' }),
+            `otpauth://totp/REST%20CRUD%20Demo:a%40ase.ro?secret=${RFC_SECRET}&issuer=REST%20CRUD%20Demo&algorithm=SHA1&digits=6&period=30`
+        );
+    });
+});
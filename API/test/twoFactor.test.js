@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const twoFactor = require('../services/twoFactor');
+const { hotp, currentStep } = require('../utils/totp');
+
+const createUser = async () => {
+    const id = await User.create({ email: `${Date.now()}-${Math.random()}@ase.ro`, password: 'hash', role: 'editor' });
+    return await User.findById(id);
+};
+
+describe('two-factor enrollment', () => {
+    it('enables 2FA with a code from the new secret', async () => {
+        const user = await createUser();
+        const { secret } = await twoFactor.beginEnrollment(user);
+        const result = await twoFactor.confirmEnrollment(user.id, hotp(secret, currentStep()));
+
+        assert.equal(result.recoveryCodes.length, 10);
+        assert.equal(twoFactor.isTwoFactorEnabled(await User.findById(user.id)), true);
+    });
+
+    it('reports errors instead of throwing', async () => {
+        const user = await createUser();
+
+        assert.deepEqual(await twoFactor.confirmEnrollment(user.id, '123456'), { error: 'not-started' });
+        await twoFactor.beginEnrollment(user);
+        assert.deepEqual(await twoFactor.confirmEnrollment(user.id, 'abcdef'), { error: 'invalid-code' });
+    });
+
+    it('reports a deleted account as not found', async () => {
+        const user = await createUser();
+        await User.remove(user.id);
+
+        assert.deepEqual(await twoFactor.confirmEnrollment(user.id, '123456'), { error: 'not-found' });
+    });
+});
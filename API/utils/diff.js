@@ -0,0 +1,34 @@
+// Bookkeeping fields that change on every write and would only add noise to a diff
+const IGNORED_FIELDS = ['id', 'updatedAt', 'version'];
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Field-level diff between two versions of a document
+ * Fields that were added have before: null, removed fields have after: null.
+ * @param {object|null} before - Previous version (null for a new document)
+ * @param {object|null} after - New version (null for a removed document)
+ * @returns {object} Map of field name to { before, after } for every changed field
+ */
+function diffFields(before, after) {
+    const previous = before || {};
+    const next = after || {};
+    const changes = {};
+
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+
+        const oldValue = previous[field] === undefined ? null : previous[field];
+        const newValue = next[field] === undefined ? null : next[field];
+
+        if (!isEqual(oldValue, newValue)) {
+            changes[field] = { before: oldValue, after: newValue };
+        }
+    }
+
+    return changes;
+}
+
+module.exports = { diffFields };
@@ -0,0 +1,35 @@
+/**
+ * Build the ETag for an item from its version counter
+ * Items stored before versioning was added count as version 0.
+ * @param {object} item - Stored item
+ * @returns {string} Quoted entity tag, e.g. "3"
+ */
+function itemEtag(item) {
+    return `"${item.version || 0}"`;
+}
+
+/**
+ * Check an If-Match header against an item
+ * A missing header always matches; "*" matches any existing item.
+ * Weak tags (W/"3") are compared by their value.
+ * @param {string|undefined} header - Raw If-Match header
+ * @param {object} item - Current stored item
+ * @returns {boolean} True if the request may proceed
+ */
+function ifMatchSatisfied(header, item) {
+    if (header === undefined) {
+        return true;
+    }
+
+    const current = itemEtag(item);
+
+    return header
+        .split(',')
+        .map((tag) => tag.trim().replace(/^W\//, ''))
+        .some((tag) => tag === '*' || tag === current);
+}
+
+module.exports = {
+    itemEtag,
+    ifMatchSatisfied
+};
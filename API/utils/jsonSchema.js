@@ -0,0 +1,183 @@
+/**
+ * Minimal JSON Schema validator for the subset used by the OpenAPI document
+ * Supports $ref (to #/components/...), type (also as a list), enum, string
+ * length/pattern/format, numeric ranges, object properties, required and
+ * additionalProperties, and array items/length/uniqueness. Annotation keywords
+ * such as description or example are ignored.
+ */
+
+const FORMATS = {
+    email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    // ISO 8601 date or date-time, e.g. 2024-05-01 or 2024-05-01T10:00:00Z
+    'date-time': (value) => /^\d{4}-\d{2}-\d{2}([T ][\d:.]+(Z|[+-]\d{2}:?\d{2})?)?$/.test(value)
+        && !Number.isNaN(Date.parse(value))
+};
+
+const FORMAT_NAMES = {
+    email: 'a valid email address',
+    'date-time': 'an ISO 8601 date'
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// "name", "scopes[0]" or "address.city"; '' is the value itself
+function childPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Resolve a local $ref such as "#/components/schemas/Item"
+ * @param {object} document - Document the reference points into
+ * @param {string} ref - JSON pointer
+ * @returns {object} Referenced schema
+ */
+function resolveRef(document, ref) {
+    const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => node && node[key], document);
+
+    if (!target) {
+        throw new Error(`Unresolvable schema reference: ${ref}`);
+    }
+
+    return target;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @param {object} [options]
+ * @param {object} [options.document] - Document that $ref values point into
+ * @param {string} [options.path] - Name of the value, used in error paths and messages
+ * @param {string} [options.label] - How messages refer to the value when it has no name
+ * @returns {Array<object>} One { path, message } per problem; empty if the value is valid
+ */
+function validateSchema(schema, value, { document = {}, path = '', label = 'Value' } = {}) {
+    const errors = [];
+
+    // Subject of an error message: the field name, or the label for the whole value
+    const subject = (at) => at || label;
+
+    const check = (node, current, at) => {
+        if (node.$ref) {
+            return check(resolveRef(document, node.$ref), current, at);
+        }
+
+        const fail = (message, field = at) => errors.push({ path: field, message });
+
+        if (node.type) {
+            const types = [].concat(node.type);
+
+            if (!types.some((type) => matchesType(current, type))) {
+                return fail(`${subject(at)} must be of type ${types.join(' or ')}`);
+            }
+        }
+
+        if (node.enum && !node.enum.some((option) => option === current)) {
+            return fail(`${subject(at)} must be one of: ${node.enum.map(String).join(', ')}`);
+        }
+
+        if (typeof current === 'string') {
+            if (node.minLength !== undefined && current.length < node.minLength) {
+                fail(node.minLength === 1
+                    ? `${subject(at)} cannot be empty`
+                    : `${subject(at)} must be at least ${node.minLength} characters`);
+            }
+            if (node.maxLength !== undefined && current.length > node.maxLength) {
+                fail(`${subject(at)} must be at most ${node.maxLength} characters`);
+            }
+            if (node.pattern && !new RegExp(node.pattern).test(current)) {
+                fail(node['x-pattern-message']
+                    ? `${subject(at)} ${node['x-pattern-message']}`
+                    : `${subject(at)} does not match the pattern ${node.pattern}`);
+            }
+            if (node.format && FORMATS[node.format] && !FORMATS[node.format](current)) {
+                fail(`${subject(at)} must be ${FORMAT_NAMES[node.format]}`);
+            }
+        }
+
+        if (typeof current === 'number') {
+            if (node.minimum !== undefined && current < node.minimum) {
+                fail(`${subject(at)} must be at least ${node.minimum}`);
+            }
+            if (node.maximum !== undefined && current > node.maximum) {
+                fail(`${subject(at)} must be at most ${node.maximum}`);
+            }
+        }
+
+        if (Array.isArray(current)) {
+            if (node.minItems !== undefined && current.length < node.minItems) {
+                fail(`${subject(at)} must have at least ${node.minItems} item(s)`);
+            }
+            if (node.maxItems !== undefined && current.length > node.maxItems) {
+                fail(`${subject(at)} must have at most ${node.maxItems} item(s)`);
+            }
+            if (node.uniqueItems && new Set(current.map((item) => JSON.stringify(item))).size !== current.length) {
+                fail(`${subject(at)} must not contain duplicates`);
+            }
+            if (node.items) {
+                current.forEach((item, index) => check(node.items, item, childPath(at, index)));
+            }
+        }
+
+        if (typeOf(current) === 'object') {
+            const properties = node.properties || {};
+
+            for (const name of node.required || []) {
+                if (current[name] === undefined) {
+                    fail(`${subject(childPath(at, name))} is required`, childPath(at, name));
+                }
+            }
+
+            for (const [name, propertyValue] of Object.entries(current)) {
+                if (properties[name]) {
+                    check(properties[name], propertyValue, childPath(at, name));
+                } else if (node.additionalProperties === false) {
+                    fail(`Unknown field: ${childPath(at, name)}`, childPath(at, name));
+                } else if (typeof node.additionalProperties === 'object') {
+                    check(node.additionalProperties, propertyValue, childPath(at, name));
+                }
+            }
+        }
+    };
+
+    check(schema, value, path);
+    return errors;
+}
+
+/**
+ * Convert a query string or path value to the type its schema expects
+ * Values that cannot be converted are returned unchanged so validation reports them.
+ * @param {object} schema - Parameter schema
+ * @param {*} value - Raw value from the URL
+ * @param {object} [document] - Document that $ref values point into
+ * @returns {*} Converted value
+ */
+function coerceParameter(schema, value, document = {}) {
+    const target = schema.$ref ? resolveRef(document, schema.$ref) : schema;
+    const types = [].concat(target.type || []);
+
+    if (typeof value !== 'string') return value;
+
+    if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+
+    return value;
+}
+
+module.exports = { validateSchema, coerceParameter, resolveRef };
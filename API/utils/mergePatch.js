@@ -0,0 +1,33 @@
+const isPlainObject = (value) => {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+};
+
+/**
+ * Apply a JSON Merge Patch (RFC 7396) to a document
+ * - keys set to null are removed from the target
+ * - nested objects are merged recursively
+ * - any other value (including arrays) replaces the target value
+ * The target is not modified; a new object is returned.
+ * @param {*} target - Current document
+ * @param {*} patch - Merge patch from the client
+ * @returns {*} Patched document
+ */
+function applyMergePatch(target, patch) {
+    if (!isPlainObject(patch)) {
+        return patch;
+    }
+
+    const result = isPlainObject(target) ? { ...target } : {};
+
+    for (const [key, value] of Object.entries(patch)) {
+        if (value === null) {
+            delete result[key];
+        } else {
+            result[key] = applyMergePatch(result[key], value);
+        }
+    }
+
+    return result;
+}
+
+module.exports = { applyMergePatch, isPlainObject };
@@ -0,0 +1,66 @@
+/**
+ * Encode a pagination cursor as an opaque URL-safe string
+ * @param {object} cursor - { sort, order, value, id } of the last item on a page
+ * @returns {string} Cursor token
+ */
+function encodeCursor(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} token - Cursor token from the client
+ * @returns {object|null} Decoded cursor or null if the token is malformed
+ */
+function decodeCursor(token) {
+    try {
+        const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+
+        if (!cursor || typeof cursor.id !== 'string' || !('value' in cursor)) {
+            return null;
+        }
+
+        return cursor;
+    } catch(error) {
+        return null;
+    }
+}
+
+/**
+ * Fetch one page of documents from a store collection
+ * @param {object} collection - Store collection (see db.js)
+ * @param {object} options
+ * @param {Array} options.where - Store filters
+ * @param {string} options.sort - Field to sort by
+ * @param {string} options.order - 'asc' or 'desc'
+ * @param {number} options.limit - Page size
+ * @param {object} [options.after] - Decoded cursor of the previous page
+ * @returns {Promise<object>} { items, nextCursor, total }
+ */
+async function queryPage(collection, { where, sort, order, limit, after }) {
+    // Fetch one extra document to find out whether there is a next page
+    const [results, total] = await Promise.all([
+        collection.query({
+            where,
+            orderBy: sort,
+            direction: order,
+            startAfter: after ? [after.value, after.id] : undefined,
+            limit: limit + 1
+        }),
+        collection.count(where)
+    ]);
+
+    const page = results.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = results.length > limit
+        ? encodeCursor({ sort, order, value: last[sort], id: last.id })
+        : null;
+
+    return { items: page, nextCursor, total };
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    queryPage
+};
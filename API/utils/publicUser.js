@@ -0,0 +1,38 @@
+const { DEFAULT_ROLE } = require('../permissions');
+
+/**
+ * Pick the fields of a stored user that may be sent to clients
+ * Secrets such as the password hash, verification nonce and 2FA secret are never included.
+ * @param {object} user - Stored user
+ * @returns {object} { id, email, displayName, role, emailVerified, twoFactorEnabled, createdAt }
+ */
+function toPublicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        displayName: user.displayName || null,
+        // Accounts created before roles existed get the default role
+        role: user.role || DEFAULT_ROLE,
+        // Accounts created before verification existed count as verified
+        emailVerified: user.emailVerified !== false,
+        twoFactorEnabled: Boolean(user.twoFactorEnabled),
+        createdAt: user.createdAt || null
+    };
+}
+
+/**
+ * The public fields plus the account state only administrators see
+ * @param {object} user - Stored user
+ * @returns {object} toPublicUser fields plus disabled, disabledAt, disabledReason and passwordResetRequired
+ */
+function toAdminUser(user) {
+    return {
+        ...toPublicUser(user),
+        disabled: Boolean(user.disabled),
+        disabledAt: user.disabledAt || null,
+        disabledReason: user.disabledReason || null,
+        passwordResetRequired: Boolean(user.passwordResetRequired)
+    };
+}
+
+module.exports = { toPublicUser, toAdminUser };
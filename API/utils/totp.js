@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32, the encoding authenticator apps expect for secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults, understood by every common authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(text) {
+    const clean = text.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a random TOTP secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 encoded secret
+ * @param {number} counter - Moving factor; for TOTP the time step
+ * @returns {string} Zero-padded code
+ */
+function hotp(secret, counter) {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Current TOTP time step
+ * @param {number} [now] - Time in milliseconds
+ * @returns {number} Time step counter
+ */
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Check a TOTP code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {object} [options]
+ * @param {number} [options.window=1] - Steps of drift accepted
+ * @param {number} [options.afterStep] - Only accept steps after this one, so a code cannot be replayed
+ * @returns {number|null} Matching time step, or null if the code is wrong
+ */
+function verifyTotp(secret, code, { window = 1, afterStep = -1 } = {}) {
+    const normalized = String(code).replace(/\s/g, '');
+
+    if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) {
+        return null;
+    }
+
+    const step = currentStep();
+
+    for (let candidate = step - window; candidate <= step + window; candidate++) {
+        if (candidate <= afterStep) {
+            continue;
+        }
+
+        const expected = hotp(secret, candidate);
+
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the otpauth:// URI that authenticator apps import, usually as a QR code
+ * @param {object} options - { secret, account, issuer }
+ * @returns {string} otpauth URI
+ */
+function otpauthUri({ secret, account, issuer }) {
+    // Encoded by hand: some apps show the "+" that URLSearchParams uses for spaces
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+    const params = [
+        `secret=${secret}`,
+        `issuer=${encodeURIComponent(issuer)}`,
+        'algorithm=SHA1',
+        `digits=${DIGITS}`,
+        `period=${STEP_SECONDS}`
+    ].join('&');
+
+    return `otpauth://totp/${label}?${params}`;
+}
+
+module.exports = {
+    generateSecret,
+    hotp,
+    currentStep,
+    verifyTotp,
+    otpauthUri
+};
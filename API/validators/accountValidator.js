@@ -0,0 +1,69 @@
+const { body } = require('express-validator')
+const { validate } = require('./validate')
+
+// Required fields, types and allowed values are checked against the OpenAPI
+// document (openapi/paths/users.js) before these chains run; they only sanitize
+// values and apply the rules a schema cannot express.
+
+// null removes the display name
+const profileValidation = validate([
+    body('displayName')
+        .optional({ values: 'null' })
+        .trim()
+])
+
+const changePasswordValidation = validate([
+    body('newPassword')
+        .trim()
+])
+
+const deleteAccountValidation = validate([
+    body('transferTo')
+        .if(body('itemsPolicy').equals('transfer'))
+        .notEmpty()
+        .withMessage('transferTo must be the email of the user receiving the items')
+        .normalizeEmail()
+])
+
+const apiKeyValidation = validate([
+    body('name')
+        .trim(),
+    body('expiresInDays')
+        .optional()
+        .toInt()
+])
+
+const totpCode = () => body('code')
+    .optional()
+    .trim()
+
+// Exactly one of a TOTP code or a recovery code. Checked on the code field
+// rather than the whole body, so error details never point at the password.
+const secondFactor = () => [
+    body('code')
+        .custom((code, { req }) => {
+            if (Boolean(code) === Boolean(req.body.recoveryCode)) {
+                throw new Error('Send either code or recoveryCode')
+            }
+            return true
+        }),
+    totpCode()
+]
+
+const twoFactorConfirmValidation = validate([
+    totpCode()
+])
+
+const twoFactorDisableValidation = validate([
+    ...secondFactor()
+])
+
+module.exports = {
+    profileValidation,
+    changePasswordValidation,
+    deleteAccountValidation,
+    apiKeyValidation,
+    secondFactor,
+    twoFactorConfirmValidation,
+    twoFactorDisableValidation
+}
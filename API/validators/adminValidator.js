@@ -0,0 +1,38 @@
+const { query, body } = require('express-validator');
+const { pageLimit, afterCursor } = require('./paginationValidator');
+const { validate } = require('./validate');
+
+// Allowed values are checked against the OpenAPI document (openapi/paths/admin.js)
+// before these chains run; they only sanitize the filters.
+
+const adminUserListValidation = validate([
+    pageLimit(),
+    // Users are always listed by email
+    afterCursor(() => 'email', () => 'asc'),
+    query('q')
+        .optional()
+        .trim()
+        .toLowerCase(),
+    query('role').optional(),
+    // Only "true" is accepted: active accounts may not have the field at all
+    query('disabled')
+        .optional()
+        .toBoolean(true)
+]);
+
+const adminUserItemsValidation = validate([
+    pageLimit(),
+    // A user's items are listed newest first
+    afterCursor(() => 'createdAt', () => 'desc'),
+    query('deleted')
+        .optional()
+        .toBoolean(true)
+]);
+
+const disableUserValidation = validate([
+    body('reason')
+        .optional()
+        .trim()
+]);
+
+module.exports = { adminUserListValidation, adminUserItemsValidation, disableUserValidation };
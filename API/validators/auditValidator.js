@@ -0,0 +1,32 @@
+const { query } = require('express-validator');
+const { pageLimit, afterCursor } = require('./paginationValidator');
+const { validate } = require('./validate');
+
+// Allowed values are checked against the OpenAPI document (openapi/paths/admin.js)
+// before these chains run; they only sanitize the filters.
+
+// Audit entries are always listed newest first
+const newestFirst = afterCursor(() => 'timestamp', () => 'desc');
+
+const historyValidation = validate([
+    pageLimit(),
+    newestFirst
+]);
+
+// Dates are compared as ISO strings, so they are stored and queried in one format
+const isoDate = (name) => query(name)
+    .optional()
+    .customSanitizer((value) => new Date(value).toISOString());
+
+const auditListValidation = validate([
+    pageLimit(),
+    newestFirst,
+    query('itemId').optional().trim(),
+    query('targetUserId').optional().trim(),
+    query('actorId').optional().trim(),
+    query('action').optional(),
+    isoDate('from'),
+    isoDate('to')
+]);
+
+module.exports = { historyValidation, auditListValidation };
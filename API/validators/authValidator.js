@@ -1,20 +1,65 @@
 const { body } = require('express-validator')
+const { isEmailDomainAllowed, domainRejectionMessage } = require('../services/registrationPolicy')
+const { secondFactor } = require('./accountValidator')
+const { validate } = require('./validate')
 
-const authValidation = [
-    body('email')
-        .isEmail()
-        .withMessage('Please enter a valid email')
-        .normalizeEmail()
-        .custom((value) => {
-            if (!value.endsWith('@ase.ro')){
-                throw new Error('Only BUES students are allowed to register')
+// Required fields, types and formats are checked against the OpenAPI document
+// (openapi/paths/users.js) before these chains run; they only sanitize values
+// and apply the rules a schema cannot express.
+
+const emailField = () => body('email')
+    .normalizeEmail()
+
+// Passwords are trimmed wherever they are set, so they must be trimmed when checked too
+const loginValidation = validate([
+    emailField(),
+    body('password')
+        .trim()
+])
+
+const registerValidation = validate([
+    emailField()
+        .custom((value, { req }) => {
+            // A valid invite code bypasses the domain rule; it is checked when the account is created
+            if (!req.body.inviteCode && !isEmailDomainAllowed(value)) {
+                throw new Error(domainRejectionMessage())
             }
             return true
         }),
     body('password')
-        .isLength({ min: 8 })
-        .withMessage('Password should have a minimum of 8 chars')
+        .trim(),
+    body('inviteCode')
+        .optional()
         .trim()
-]
+])
+
+const twoFactorLoginValidation = validate([
+    ...secondFactor()
+])
+
+const forgotPasswordValidation = validate([
+    emailField()
+])
+
+const resetPasswordValidation = validate([
+    body('password')
+        .trim()
+])
+
+const inviteValidation = validate([
+    body('email')
+        .optional()
+        .normalizeEmail(),
+    body('expiresInDays')
+        .optional()
+        .toInt()
+])
 
-module.exports = { authValidation }
\ No newline at end of file
+module.exports = {
+    loginValidation,
+    twoFactorLoginValidation,
+    registerValidation,
+    forgotPasswordValidation,
+    resetPasswordValidation,
+    inviteValidation
+}
@@ -1,19 +1,59 @@
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
+const { pageLimit, afterCursor } = require('./paginationValidator');
+const { validate } = require('./validate');
 
-const itemValidation = [
-    body('name')
-        .notEmpty()
-        .withMessage('Name is required')
-        .trim()
-        .isLength({ min: 1, max: 100 })
-        .withMessage('Name must be between 1 and 100 characters'),
-    body('price')
-        .notEmpty()
-        .withMessage('Price is required')
-        .isNumeric()
-        .withMessage('Price must be a number')
-        .isFloat({ min: 0 })
-        .withMessage('Price must be a positive number')
-];
+// Types, lengths and allowed fields are checked against the OpenAPI document
+// (openapi/paths/items.js) before these chains run; they only sanitize values
+// and apply the rules a schema cannot express.
 
-module.exports = { itemValidation };
+// Used for POST, PUT and PATCH: the schemas already decide which fields are
+// required and which may be null, so the sanitizing is the same for all three
+const itemValidation = validate([
+    body('name').optional().trim(),
+    body('description').optional({ values: 'null' }).trim(),
+    body('category').optional({ values: 'null' }).trim()
+]);
+
+const itemListValidation = validate([
+    pageLimit(),
+    query('sort').optional(),
+    query('order').optional(),
+    afterCursor((req) => req.query.sort || 'name', (req) => req.query.order || 'asc'),
+    query('minPrice')
+        .optional()
+        .toFloat(),
+    query('maxPrice')
+        .optional()
+        .toFloat()
+        .custom((value, { req }) => {
+            if (req.query.minPrice !== undefined && value < parseFloat(req.query.minPrice)) {
+                throw new Error('maxPrice must be greater than or equal to minPrice');
+            }
+            return true;
+        }),
+    query('category')
+        .optional()
+        .trim(),
+    query('inStock')
+        .optional()
+        .toBoolean(true),
+    query('owner').optional()
+]);
+
+const itemSearchValidation = validate([
+    query('q').trim(),
+    pageLimit()
+]);
+
+// The trash is always listed newest deletion first
+const itemTrashValidation = validate([
+    pageLimit(),
+    afterCursor(() => 'deletedAt', () => 'desc')
+]);
+
+module.exports = {
+    itemValidation,
+    itemListValidation,
+    itemSearchValidation,
+    itemTrashValidation
+};
@@ -0,0 +1,26 @@
+const { query } = require('express-validator');
+const { decodeCursor } = require('../utils/pagination');
+
+const MAX_PAGE_SIZE = 100;
+
+// Cursor for the next page; it must come from a listing with the same sort and order
+const afterCursor = (getSort, getOrder) => query('after')
+    .optional()
+    .custom((value, { req }) => {
+        const cursor = decodeCursor(value);
+        if (!cursor) {
+            throw new Error('Invalid cursor');
+        }
+        if (cursor.sort !== getSort(req) || cursor.order !== getOrder(req)) {
+            throw new Error('Cursor does not match the requested sort and order');
+        }
+        return true;
+    })
+    .customSanitizer(decodeCursor);
+
+// The range (1 to MAX_PAGE_SIZE) is checked against the OpenAPI document
+const pageLimit = () => query('limit')
+    .optional()
+    .toInt();
+
+module.exports = { MAX_PAGE_SIZE, pageLimit, afterCursor };
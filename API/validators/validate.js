@@ -0,0 +1,25 @@
+const { validationResult } = require('express-validator');
+const { ValidationError } = require('../errors');
+
+// Throw the collected validation errors so the error middleware reports them
+function rejectInvalid(req, res, next) {
+    const validationErrors = validationResult(req);
+
+    if (!validationErrors.isEmpty()) {
+        throw new ValidationError(validationErrors.array());
+    }
+
+    next();
+}
+
+/**
+ * Turn a list of express-validator chains into route middleware that answers
+ * 400 VALIDATION_ERROR when any check fails
+ * @param {Array} chains - Validation chains
+ * @returns {Array} Middleware for a route
+ */
+function validate(chains) {
+    return [...chains, rejectInvalid];
+}
+
+module.exports = { validate };
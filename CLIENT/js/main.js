@@ -7,6 +7,17 @@ const API_BASE_URL = 'http://localhost:5000';
 let authToken = localStorage.getItem('authToken');
 let currentUser = JSON.parse(localStorage.getItem('currentUser'));
 
+// The API answers errors as { error: { code, message, details, requestId } }
+function errorMessage(data) {
+    const error = data.error || {};
+
+    if (error.code === 'VALIDATION_ERROR' && error.details && error.details.length) {
+        return error.details[0].message;
+    }
+
+    return error.message || 'Unknown error';
+}
+
 // ==================== DOM Elements - Authentication ====================
 
 const authSection = document.getElementById('auth-section');
@@ -83,7 +94,7 @@ async function login() {
             updateUIForAuth();
             await getItems();
         } else {
-            alert(`Login failed: ${data.error}`);
+            alert(`Login failed: ${errorMessage(data)}`);
         }
     } catch (error) {
         console.error('Login error:', error);
@@ -132,7 +143,7 @@ async function register() {
             updateUIForAuth();
             await getItems();
         } else {
-            alert(`Registration failed: ${data.error}`);
+            alert(`Registration failed: ${errorMessage(data)}`);
         }
     } catch (error) {
         console.error('Registration error:', error);
@@ -223,8 +234,9 @@ async function getItems() {
             throw new Error('Failed to fetch items');
         }
 
+        // The API returns one page: { items, nextCursor, total }
         const data = await response.json();
-        displayData(data);
+        displayData(data.items);
     } catch(error) {
         console.error('Error fetching items:', error);
         productsContainer.innerHTML = '<p>Error loading products</p>';
@@ -242,10 +254,11 @@ async function addProduct() {
 
     const newProduct = {
         name: productNameInput.value,
-        price: productPriceInput.value
+        // The API expects a JSON number
+        price: parseFloat(productPriceInput.value)
     };
 
-    if (!newProduct.name || !newProduct.price) {
+    if (!newProduct.name || Number.isNaN(newProduct.price)) {
         alert('Please enter both name and price');
         return;
     }
@@ -276,7 +289,7 @@ async function addProduct() {
                 alert('Session expired. Please login again.');
                 logout();
             } else {
-                alert(`Error: ${data.error}`);
+                alert(`Error: ${errorMessage(data)}`);
             }
         }
     } catch(error) {
@@ -297,7 +310,7 @@ async function updateProduct() {
     const id = updateIdInput.value.trim();
     const updatedProduct = {
         name: updateNameInput.value,
-        price: updatePriceInput.value
+        price: parseFloat(updatePriceInput.value)
     };
 
     if (!id) {
@@ -306,10 +319,11 @@ async function updateProduct() {
     }
 
     try {
+        // PATCH only changes the fields sent; PUT would clear everything else
         const response = await fetch(`${API_BASE_URL}/items/${id}`, {
-            method: 'PUT',
+            method: 'PATCH',
             headers: {
-                'Content-Type': 'application/json',
+                'Content-Type': 'application/merge-patch+json',
                 'Authorization': `Bearer ${authToken}`
             },
             body: JSON.stringify(updatedProduct)
@@ -331,7 +345,7 @@ async function updateProduct() {
                 alert('Session expired. Please login again.');
                 logout();
             } else {
-                alert(`Error: ${data.error}`);
+                alert(`Error: ${errorMessage(data)}`);
             }
         }
     } catch(error) {
@@ -382,7 +396,7 @@ async function deleteProduct() {
                 alert('Session expired. Please login again.');
                 logout();
             } else {
-                alert(`Error: ${data.error}`);
+                alert(`Error: ${errorMessage(data)}`);
             }
         }
     } catch(error) {
@@ -1,6 +1,7 @@
 import { ref, computed } from 'vue'
 import { defineStore } from 'pinia'
 import { API_BASE_URL } from '@/utils/constants'
+import { apiError } from '@/utils/apiError'
 
 /**
  * Authentication Store (Pinia)
@@ -15,6 +16,7 @@ export const useAuthStore = defineStore('auth', () => {
   // STATE - reactive data using ref()
   const user = ref(null)
   const token = ref(null)
+  const refreshToken = ref(null)
 
   // GETTERS - computed properties derived from state
   const isAuthenticated = computed(() => {
@@ -25,10 +27,41 @@ export const useAuthStore = defineStore('auth', () => {
     return user.value?.email || ''
   })
 
+  // Viewers are read-only; editors and admins can create and edit items
+  const canEditItems = computed(() => {
+    return isAuthenticated.value && user.value?.role !== 'viewer'
+  })
+
   // ACTIONS - functions that can modify state and perform async operations
 
+  /**
+   * Store the tokens and user returned by login, register or refresh
+   * @param {Object} data - API response with token, refreshToken and user
+   */
+  function saveSession(data) {
+    user.value = data.user
+    token.value = data.token
+    refreshToken.value = data.refreshToken
+
+    // Persist to localStorage for session persistence
+    localStorage.setItem('authToken', data.token)
+    localStorage.setItem('authRefreshToken', data.refreshToken)
+    localStorage.setItem('authUser', JSON.stringify(data.user))
+  }
+
+  function clearSession() {
+    user.value = null
+    token.value = null
+    refreshToken.value = null
+    localStorage.removeItem('authToken')
+    localStorage.removeItem('authRefreshToken')
+    localStorage.removeItem('authUser')
+  }
+
   /**
    * Login an existing user
+   * With two-factor authentication on, no session is started yet: the response
+   * has twoFactorRequired and a challengeToken to pass to loginTwoFactor().
    * @param {string} email - User email
    * @param {string} password - User password
    * @returns {Promise<Object>} Response data or error
@@ -46,14 +79,12 @@ export const useAuthStore = defineStore('auth', () => {
       const data = await response.json()
 
       if (!response.ok) {
-        throw new Error(data.error || 'Login failed')
+        throw apiError(data, 'Login failed')
       }
 
-      user.value = data.user
-      token.value = data.token
-
-      localStorage.setItem('authToken', data.token)
-      localStorage.setItem('authUser', JSON.stringify(data.user))
+      if (!data.twoFactorRequired) {
+        saveSession(data)
+      }
 
       return data
     } catch (error) {
@@ -62,36 +93,63 @@ export const useAuthStore = defineStore('auth', () => {
     }
   }
 
+  /**
+   * Finish a two-factor login
+   * @param {string} challengeToken - Token returned by login()
+   * @param {Object} factor - { code } from the authenticator app or { recoveryCode }
+   * @returns {Promise<Object>} Response data or error
+   */
+  async function loginTwoFactor(challengeToken, factor) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/login/2fa`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ challengeToken, ...factor })
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw apiError(data, 'Login failed')
+      }
+
+      saveSession(data)
+
+      return data
+    } catch (error) {
+      console.error('Two-factor login error:', error)
+      throw error
+    }
+  }
+
   /**
    * Register a new user
    * @param {string} email - User email
    * @param {string} password - User password
+   * @param {string} [inviteCode] - Invite code for emails outside the allowed domains
    * @returns {Promise<Object>} Response data or error
    */
-  async function register(email, password) {
+  async function register(email, password, inviteCode) {
     try {
       const response = await fetch(`${API_BASE_URL}/users/register`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
-        body: JSON.stringify({ email, password })
+        body: JSON.stringify(inviteCode ? { email, password, inviteCode } : { email, password })
       })
 
       const data = await response.json()
 
       if (!response.ok) {
         // Handle error response
-        throw new Error(data.error || 'Registration failed')
+        throw apiError(data, 'Registration failed')
       }
 
-      // Update state with user data and token
-      user.value = data.user
-      token.value = data.token
-
-      // Persist to localStorage for session persistence
-      localStorage.setItem('authToken', data.token)
-      localStorage.setItem('authUser', JSON.stringify(data.user))
+      // Update state with user data and tokens
+      saveSession(data)
 
       return data
     } catch (error) {
@@ -101,13 +159,94 @@ export const useAuthStore = defineStore('auth', () => {
   }
 
   /**
-   * Logout user - clear state and localStorage
+   * Exchange the refresh token for a new access token
+   * The refresh token is single use, so the new pair replaces the old one.
+   * @returns {Promise<boolean>} True if the session was refreshed
    */
-  function logout() {
-    user.value = null
-    token.value = null
-    localStorage.removeItem('authToken')
-    localStorage.removeItem('authUser')
+  async function refreshSession() {
+    if (!refreshToken.value) return false
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/refresh`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ refreshToken: refreshToken.value })
+      })
+
+      if (!response.ok) {
+        clearSession()
+        return false
+      }
+
+      saveSession(await response.json())
+      return true
+    } catch (error) {
+      console.error('Refresh error:', error)
+      return false
+    }
+  }
+
+  /**
+   * fetch() with the access token attached
+   * When the access token has expired, refreshes it once and retries.
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} Response
+   */
+  async function authFetch(url, options = {}) {
+    const send = () => fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        'Authorization': `Bearer ${token.value}`
+      }
+    })
+
+    const response = await send()
+
+    // Only an expired or revoked access token is worth a refresh; other 403s
+    // (missing permission, unverified email) would fail the same way again
+    if (response.status === 403) {
+      const data = await response.clone().json().catch(() => ({}))
+
+      if (data.error?.code === 'INVALID_TOKEN' && await refreshSession()) {
+        return send()
+      }
+    }
+
+    return response
+  }
+
+  /**
+   * Ask the API to email a new verification link
+   * @returns {Promise<string>} Message to show to the user
+   */
+  async function resendVerification() {
+    const response = await authFetch(`${API_BASE_URL}/users/verify/resend`, { method: 'POST' })
+    const data = await response.json()
+
+    if (!response.ok) {
+      throw apiError(data, 'Could not send verification email')
+    }
+
+    return data.message
+  }
+
+  /**
+   * Logout user - revoke the session on the server, then clear state and localStorage
+   */
+  async function logout() {
+    try {
+      if (token.value) {
+        await authFetch(`${API_BASE_URL}/users/logout`, { method: 'POST' })
+      }
+    } catch (error) {
+      // Still log out locally if the server cannot be reached
+      console.error('Logout error:', error)
+    }
+    clearSession()
   }
 
   /**
@@ -119,6 +258,7 @@ export const useAuthStore = defineStore('auth', () => {
 
     if (savedToken && savedUser) {
       token.value = savedToken
+      refreshToken.value = localStorage.getItem('authRefreshToken')
       user.value = JSON.parse(savedUser)
     }
   }
@@ -128,12 +268,18 @@ export const useAuthStore = defineStore('auth', () => {
     // State
     user,
     token,
+    refreshToken,
     // Getters
     isAuthenticated,
     userEmail,
+    canEditItems,
     // Actions
     login,
+    loginTwoFactor,
     register,
+    refreshSession,
+    authFetch,
+    resendVerification,
     logout,
     checkAuth
   }
@@ -5,11 +5,17 @@ import { useAuthStore } from './auth'
 import { db } from '@/firebase.js'
 import { collection, onSnapshot } from 'firebase/firestore'
 
+const CONFLICT_MESSAGE = 'This item was changed by someone else. Reload the page to see the latest version.'
+
 export const useProductsStore = defineStore('products', () => {
   const items = ref([])
   const isLoading = ref(false)
   const error = ref(null)
 
+  // ETag of each item as last fetched, sent back as If-Match so we never
+  // overwrite a change someone else made in the meantime
+  const etags = {}
+
     // This will hold the unsubscribe function for the real-time listener
   let unsubscribeFromItems = null;
 
@@ -43,13 +49,18 @@ export const useProductsStore = defineStore('products', () => {
     }
   }
 
+  function ifMatch(id) {
+    return etags[id] ? { 'If-Match': etags[id] } : {}
+  }
+
   async function fetchItems() {
     isLoading.value = true
     error.value = null
     try {
       const response = await fetch(`${API_BASE_URL}/items`)
       if (!response.ok) throw new Error('Failed to fetch items.')
-      items.value = await response.json()
+      const page = await response.json()
+      items.value = page.items
     } catch (e) {
       error.value = e.message
       items.value = []
@@ -64,6 +75,7 @@ export const useProductsStore = defineStore('products', () => {
     try {
       const response = await fetch(`${API_BASE_URL}/items/${id}`)
       if (!response.ok) throw new Error('Failed to fetch item.')
+      etags[id] = response.headers.get('ETag')
       return await response.json()
     } catch (e) {
       error.value = e.message
@@ -77,11 +89,10 @@ export const useProductsStore = defineStore('products', () => {
     isLoading.value = true
     error.value = null
     try {
-      const response = await fetch(`${API_BASE_URL}/items`, {
+      const response = await authStore.authFetch(`${API_BASE_URL}/items`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authStore.token}`,
         },
         body: JSON.stringify(item),
       })
@@ -99,18 +110,21 @@ export const useProductsStore = defineStore('products', () => {
     isLoading.value = true
     error.value = null
     try {
-      const response = await fetch(`${API_BASE_URL}/items/${id}`, {
-        method: 'PUT',
+      // PATCH only changes the fields sent; PUT would clear everything else
+      const response = await authStore.authFetch(`${API_BASE_URL}/items/${id}`, {
+        method: 'PATCH',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authStore.token}`,
+          'Content-Type': 'application/merge-patch+json',
+          ...ifMatch(id),
         },
         body: JSON.stringify(item),
       })
+      if (response.status === 412) throw new Error(CONFLICT_MESSAGE)
       if (!response.ok) throw new Error('Failed to update item.')
       await fetchItems() // Refresh the list
     } catch (e) {
       error.value = e.message
+      throw e // Let the view stay on the item and show the error
     } finally {
       isLoading.value = false
     }
@@ -121,16 +135,18 @@ export const useProductsStore = defineStore('products', () => {
     isLoading.value = true
     error.value = null
     try {
-      const response = await fetch(`${API_BASE_URL}/items/${id}`, {
+      const response = await authStore.authFetch(`${API_BASE_URL}/items/${id}`, {
         method: 'DELETE',
         headers: {
-          'Authorization': `Bearer ${authStore.token}`,
+          ...ifMatch(id),
         },
       })
+      if (response.status === 412) throw new Error(CONFLICT_MESSAGE)
       if (!response.ok) throw new Error('Failed to delete item.')
       await fetchItems() // Refresh the list
     } catch (e) {
       error.value = e.message
+      throw e // Let the view stay on the item and show the error
     } finally {
       isLoading.value = false
     }
@@ -0,0 +1,31 @@
+/**
+ * Message to show for a failed API response
+ * The API answers errors as { error: { code, message, details, requestId } };
+ * for validation errors the first failed field says more than the summary.
+ * @param {Object} data - Parsed response body
+ * @param {string} fallback - Message used when the body has no error
+ * @returns {string} Message to show to the user
+ */
+export function apiErrorMessage(data, fallback) {
+  const error = data?.error
+  if (!error) return fallback
+
+  if (error.code === 'VALIDATION_ERROR' && error.details?.length) {
+    return error.details[0].message
+  }
+
+  return error.message || fallback
+}
+
+/**
+ * Error for a failed API response, carrying the API's error code
+ * Views should branch on error.code; the message is for display only.
+ * @param {Object} data - Parsed response body
+ * @param {string} fallback - Message used when the body has no error
+ * @returns {Error} Error with message and code (null if the body has none)
+ */
+export function apiError(data, fallback) {
+  const error = new Error(apiErrorMessage(data, fallback))
+  error.code = data?.error?.code ?? null
+  return error
+}
@@ -1,2 +1,8 @@
-// API Configuration
-export const API_BASE_URL = 'http://localhost:5000';
+// API Configuration (set VITE_API_BASE_URL in .env.local or the build environment)
+export const API_BASE_URL = (import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000').replace(/\/$/, '');
+
+// Email domains accepted without an invite code (mirrors REGISTRATION_DOMAINS on the API)
+export const REGISTRATION_DOMAINS = (import.meta.env.VITE_REGISTRATION_DOMAINS || 'ase.ro')
+  .split(',')
+  .map((domain) => domain.trim().toLowerCase())
+  .filter(Boolean);